@@ -7,32 +7,59 @@ import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 contract NFT is ERC721Enumerable, Ownable {
     using Strings for uint256;
+
+    enum SalePhase { Closed, Allowlist, Public }
     
+    // Allowlist sale price and start time
     uint256 public cost;
     uint256 public maxSupply;
     uint256 public allowMintingOn;
+
+    // Public sale price and start time, 0 while no public sale is scheduled
+    uint256 public publicCost;
+    uint256 public publicMintingOn;
+
     uint256 public maxMintAmountPerTx;
+    // Lifetime mints allowed per wallet across all phases, 0 means no cap
+    uint256 public maxMintPerWallet;
     string public baseURI;
     string public baseExtension = ".json";
     bool public paused = false;
+
+    // Delayed reveal: tokens serve notRevealedURI, when set, until reveal()
+    string public notRevealedURI;
+    bool public revealed = false;
+    // Hash of the final metadata set, see scripts/provenance.js
+    bytes32 public provenanceHash;
     
-    // Merkle tree for allowed addresses
+    // Merkle tree for allowed addresses, leaves are (address, allowance)
     bytes32 public allowedAddressesRoot;
 
+    // Tokens minted by each address against its allowlist allowance
+    mapping(address => uint256) public allowlistMinted;
+
+    // Tokens minted by each address in any phase
+    mapping(address => uint256) public walletMinted;
+
     event Mint(uint256 indexed mintAmount, address indexed minter);
     event Withdraw(uint256 indexed amount, address indexed sender);
     event Paused(address indexed account);
     event Unpaused(address indexed account);
     event AllowedAddressesRootSet(bytes32 indexed root);
+    event AllowlistSaleSet(uint256 cost, uint256 startsOn);
+    event PublicSaleSet(uint256 cost, uint256 startsOn);
+    event MaxMintPerWalletSet(uint256 maxMintPerWallet);
+    event ProvenanceHashSet(bytes32 provenanceHash);
+    event Revealed(string baseURI);
 
     modifier whenNotPaused() {
         require(!paused, "Contract is paused");
         _;
     }
 
-    modifier onlyAllowedAddress(bytes32[] calldata _merkleProof) {
+    modifier onlyAllowedAddress(uint256 _allowance, bytes32[] calldata _merkleProof) {
         require(
-            isAddressAllowed(msg.sender, _merkleProof),
+            isAddressAllowed(msg.sender, _allowance, _merkleProof),
             "Address not in allowed list"
         );
         _;
@@ -56,24 +83,48 @@ contract NFT is ERC721Enumerable, Ownable {
         allowedAddressesRoot = _allowedAddressesRoot;
     }
 
-    function mint(uint256 _mintAmount, bytes32[] calldata _merkleProof) public payable whenNotPaused onlyAllowedAddress(_merkleProof) {
+    function mint(uint256 _mintAmount, uint256 _allowance, bytes32[] calldata _merkleProof) public payable whenNotPaused onlyAllowedAddress(_allowance, _merkleProof) {
         // Only allow minting after specified time
         require(block.timestamp >= allowMintingOn, "Minting not allowed yet");
 
+        // Allowlist minting ends once the public sale starts
+        require(currentPhase() == SalePhase.Allowlist, "Allowlist sale has ended");
+
+        // Do not let them mint more tokens than their allowlist allowance
+        require(allowlistMinted[msg.sender] + _mintAmount <= _allowance, "Mint amount exceeds allowance");
+
+        allowlistMinted[msg.sender] += _mintAmount;
+
+        _mintTokens(_mintAmount, cost);
+    }
+
+    function publicMint(uint256 _mintAmount) public payable whenNotPaused {
+        // Only allow minting once the public sale has started
+        require(currentPhase() == SalePhase.Public, "Public sale not started");
+
+        _mintTokens(_mintAmount, publicCost);
+    }
+
+    function _mintTokens(uint256 _mintAmount, uint256 _price) internal {
         // Must mint at least 1 token
         require(_mintAmount > 0, "Mint amount must be greater than 0");
 
         // Do not let them mint more tokens than allowed per transaction
         require(_mintAmount <= maxMintAmountPerTx, "Mint amount exceeds max per transaction");
 
+        // Do not let a wallet mint more tokens than its lifetime cap
+        require(maxMintPerWallet == 0 || walletMinted[msg.sender] + _mintAmount <= maxMintPerWallet, "Mint amount exceeds max per wallet");
+
         // Require enough payment
-        require(msg.value >= cost * _mintAmount, "Insufficient funds");
+        require(msg.value >= _price * _mintAmount, "Insufficient funds");
 
         uint256 supply = totalSupply();
 
         // Do not let them mint more tokens than available
         require(supply + _mintAmount <= maxSupply, "Max supply exceeded");
 
+        walletMinted[msg.sender] += _mintAmount;
+
         // Create tokens
         for (uint256 i = 1; i <= _mintAmount; i++) {
             _safeMint(msg.sender, supply + i);
@@ -82,13 +133,41 @@ contract NFT is ERC721Enumerable, Ownable {
         emit Mint(_mintAmount, msg.sender);
     }
 
-    function isAddressAllowed(address _address, bytes32[] calldata _merkleProof) public view returns (bool) {
-        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_address))));
+    function currentPhase() public view returns (SalePhase) {
+        if (publicMintingOn != 0 && block.timestamp >= publicMintingOn) {
+            return SalePhase.Public;
+        }
+        if (block.timestamp >= allowMintingOn) {
+            return SalePhase.Allowlist;
+        }
+        return SalePhase.Closed;
+    }
+
+    function mintsRemaining(address _address) public view returns (uint256) {
+        uint256 available = maxSupply - totalSupply();
+        if (maxMintPerWallet == 0) {
+            return available;
+        }
+
+        // The cap may have been lowered below what the wallet already minted
+        if (walletMinted[_address] >= maxMintPerWallet) {
+            return 0;
+        }
+
+        uint256 walletRemaining = maxMintPerWallet - walletMinted[_address];
+        return walletRemaining < available ? walletRemaining : available;
+    }
+
+    function isAddressAllowed(address _address, uint256 _allowance, bytes32[] calldata _merkleProof) public view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_address, _allowance))));
         return MerkleProof.verify(_merkleProof, allowedAddressesRoot, leaf);
     }
 
     function tokenURI(uint256 _tokenId) public view virtual override returns (string memory) {
         require(_exists(_tokenId), "Token does not exist");
+        if (!revealed && bytes(notRevealedURI).length > 0) {
+            return notRevealedURI;
+        }
         return string(abi.encodePacked(baseURI, _tokenId.toString(), baseExtension));
     }
     
@@ -126,6 +205,49 @@ contract NFT is ERC721Enumerable, Ownable {
         cost = _newCost;
     }
 
+    function setNotRevealedURI(string memory _notRevealedURI) public onlyOwner {
+        require(!revealed, "Already revealed");
+        notRevealedURI = _notRevealedURI;
+    }
+
+    function setProvenanceHash(bytes32 _provenanceHash) public onlyOwner {
+        // The provenance is frozen before anyone can see which token they
+        // minted, so it cannot be swapped to match the mints
+        require(!revealed, "Already revealed");
+        require(totalSupply() == 0, "Minting already started");
+        provenanceHash = _provenanceHash;
+        emit ProvenanceHashSet(_provenanceHash);
+    }
+
+    function reveal(string memory _newBaseURI) public onlyOwner {
+        require(!revealed, "Already revealed");
+        baseURI = _newBaseURI;
+        revealed = true;
+        emit Revealed(_newBaseURI);
+    }
+
+    function setMaxMintPerWallet(uint256 _maxMintPerWallet) public onlyOwner {
+        maxMintPerWallet = _maxMintPerWallet;
+        emit MaxMintPerWalletSet(_maxMintPerWallet);
+    }
+
+    function setAllowlistSale(uint256 _cost, uint256 _startsOn) public onlyOwner {
+        require(publicMintingOn == 0 || _startsOn < publicMintingOn, "Allowlist sale must start before public sale");
+
+        cost = _cost;
+        allowMintingOn = _startsOn;
+        emit AllowlistSaleSet(_cost, _startsOn);
+    }
+
+    // A start time of 0 unschedules the public sale, leaving the allowlist sale open
+    function setPublicSale(uint256 _cost, uint256 _startsOn) public onlyOwner {
+        require(_startsOn == 0 || _startsOn > allowMintingOn, "Public sale must start after allowlist sale");
+
+        publicCost = _cost;
+        publicMintingOn = _startsOn;
+        emit PublicSaleSet(_cost, _startsOn);
+    }
+
     function setAllowedAddressesRoot(bytes32 _root) public onlyOwner {
         allowedAddressesRoot = _root;
         emit AllowedAddressesRootSet(_root);
@@ -0,0 +1,152 @@
+// Loads and validates the constructor arguments and sale settings used by
+// scripts/deploy.js from deploy-config/<network>.json, falling back to
+// deploy-config/default.json.
+//
+// Costs are in ETH. Timestamps are unix seconds, or "+<seconds>" / "-<seconds>"
+// relative to now. allowMintingOn must be in the future unless allowPastDates
+// is set, as it is for seeding a sale already under way. A publicMintingOn of 0
+// deploys without a public sale. Paths are relative to the repository root.
+const fs = require('fs')
+const path = require('path')
+const { parseUnits } = require('ethers/lib/utils')
+
+const ROOT_DIR = path.join(__dirname, '..')
+const CONFIG_DIR = path.join(ROOT_DIR, 'deploy-config')
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(file, 'utf8'))
+
+// Finds the config file for a network unless one is given explicitly
+const resolveConfigPath = (network, configPath) => {
+  if (configPath) return path.resolve(configPath)
+
+  const networkPath = path.join(CONFIG_DIR, `${network}.json`)
+  return fs.existsSync(networkPath)
+    ? networkPath
+    : path.join(CONFIG_DIR, 'default.json')
+}
+
+// Reads the raw config file for a network, without resolving or validating it
+const readDeployConfig = (network, configPath) => {
+  const file = resolveConfigPath(network, configPath)
+  return { file, config: readJSON(file) }
+}
+
+// Reads every config in deploy-config/
+const readDeployConfigs = () =>
+  fs
+    .readdirSync(CONFIG_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const configFile = path.join(CONFIG_DIR, file)
+      return { file: configFile, config: readJSON(configFile) }
+    })
+
+// Parses an amount in ETH, or returns null so a bad one is reported with the
+// other problems
+const parseCost = (value) => {
+  try {
+    return parseUnits(String(value), 'ether')
+  } catch (error) {
+    return null
+  }
+}
+
+// Reads the allowlist file, or returns null after adding to errors why it
+// could not be read
+const readAllowlist = (allowlistPath, errors) => {
+  if (typeof allowlistPath !== 'string' || allowlistPath === '') {
+    errors.push('allowlist must be the path to an allowlist JSON file')
+    return null
+  }
+
+  const file = path.resolve(ROOT_DIR, allowlistPath)
+  if (!fs.existsSync(file)) {
+    errors.push(`allowlist file ${file} does not exist`)
+    return null
+  }
+
+  try {
+    return readJSON(file)
+  } catch (error) {
+    errors.push(`allowlist file ${file} is not valid JSON: ${error.message}`)
+    return null
+  }
+}
+
+const resolveTimestamp = (value, now) =>
+  typeof value === 'string' && /^[+-]/.test(value)
+    ? now + parseInt(value)
+    : parseInt(value)
+
+// Returns the resolved deploy arguments, or throws listing every problem
+const loadDeployConfig = (
+  network,
+  configPath,
+  now = Math.floor(Date.now() / 1000)
+) => {
+  const { file, config } = readDeployConfig(network, configPath)
+
+  const errors = []
+  const args = {
+    name: config.name,
+    symbol: config.symbol,
+    cost: parseCost(config.cost),
+    maxSupply: config.maxSupply,
+    allowMintingOn: resolveTimestamp(config.allowMintingOn, now),
+    maxMintAmountPerTx: config.maxMintAmountPerTx,
+    maxMintPerWallet: config.maxMintPerWallet || 0,
+    publicCost: parseCost(config.publicCost),
+    publicMintingOn: resolveTimestamp(config.publicMintingOn, now),
+    baseURI: config.baseURI,
+    notRevealedURI: config.notRevealedURI || '',
+    allowlist: readAllowlist(config.allowlist, errors),
+  }
+
+  if (!args.name || !args.symbol) {
+    errors.push('name and symbol are required')
+  }
+  if (!args.cost || args.cost.isNegative()) {
+    errors.push('cost must be an amount in ETH')
+  }
+  if (!args.publicCost || args.publicCost.isNegative()) {
+    errors.push('publicCost must be an amount in ETH')
+  }
+  if (!Number.isInteger(args.maxSupply) || args.maxSupply <= 0) {
+    errors.push('maxSupply must be greater than 0')
+  }
+  if (
+    !Number.isInteger(args.maxMintAmountPerTx) ||
+    args.maxMintAmountPerTx <= 0
+  ) {
+    errors.push('maxMintAmountPerTx must be greater than 0')
+  }
+  if (!Number.isInteger(args.allowMintingOn)) {
+    errors.push('allowMintingOn must be a timestamp')
+  } else if (!config.allowPastDates && !(args.allowMintingOn > now)) {
+    errors.push('allowMintingOn must be in the future')
+  }
+  if (
+    args.publicMintingOn !== 0 &&
+    !(args.publicMintingOn > args.allowMintingOn)
+  ) {
+    errors.push('publicMintingOn must be 0 or after allowMintingOn')
+  }
+  if (typeof args.baseURI !== 'string' || !args.baseURI.endsWith('/')) {
+    errors.push('baseURI must end with /')
+  }
+  if (
+    args.allowlist &&
+    (!Array.isArray(args.allowlist) || args.allowlist.length === 0)
+  ) {
+    errors.push('allowlist must not be empty')
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid deploy config ${file}:\n  ${errors.join('\n  ')}`)
+  }
+
+  return { file, args }
+}
+
+module.exports = { loadDeployConfig, readDeployConfig, readDeployConfigs }
@@ -4,47 +4,195 @@
 // You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
 // will compile your contracts, add the Hardhat Runtime Environment's members to the
 // global scope, and execute the script.
+const fs = require('fs')
+const path = require('path')
 const hre = require('hardhat')
-const { buildMerkleTree, getMerkleProof } = require('../src/utils')
-
-async function main() {
-  const NAME = 'Dapp Punks'
-  const SYMBOL = 'DP'
-  const COST = ethers.utils.parseUnits('10', 'ether')
-  const MAX_SUPPLY = 25
-  const NFT_MINT_DATE = (Date.now() + 60000).toString().slice(0, 10)
-  const MAX_MINT_AMOUNT_PER_TX = 5
-  const IPFS_METADATA_URI =
-    'ipfs://QmQ2jnDYecFhrf3asEWjyjZRX1pZSsNWG3qHzmNDvXa9qg/'
-
-  const accounts = await hre.ethers.getSigners()
-  const deployer = accounts[0]
-  const minter = accounts[1]
-  const user1 = accounts[2]
-
-  const allowedAddresses = [deployer.address, minter.address, user1.address]
-  const tree = await buildMerkleTree(allowedAddresses)
+const { formatEther } = require('ethers/lib/utils')
+const { computeProvenance } = require('./provenance')
+const { loadDeployConfig } = require('./deploy-config')
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments')
+const CONFIG_PATH = path.join(__dirname, '../src/config.json')
+const ABI_PATH = path.join(__dirname, '../src/abis/NFT.json')
+
+const writeJSON = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n')
+}
+
+// Refuses to replace a deployment whose contract still exists on-chain
+const checkExistingDeployment = async (deploymentPath) => {
+  if (!fs.existsSync(deploymentPath)) return
+
+  const { address } = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'))
+  if ((await hre.ethers.provider.getCode(address)) === '0x') return
+
+  throw new Error(
+    `NFT is already deployed to ${hre.network.name} at ${address} ` +
+      `(see ${deploymentPath}). Run with --force to replace it.`
+  )
+}
+
+// Points the frontend at the new contract and refreshes its ABI. deployBlock
+// is where the frontend starts its event queries.
+const updateFrontend = async (chainId, address, deployBlock) => {
+  const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'))
+  config[chainId] = {
+    chainName: hre.network.name,
+    rpcUrls: hre.network.config.url ? [hre.network.config.url] : [],
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    ...config[chainId],
+    nft: { address, deployBlock },
+  }
+  writeJSON(CONFIG_PATH, config)
+
+  const { abi } = await hre.artifacts.readArtifact('NFT')
+  writeJSON(ABI_PATH, abi)
+}
+
+// Prints the resolved deploy arguments in human readable units
+const logDeployArgs = (args, root) => {
+  const date = (timestamp) => new Date(timestamp * 1000).toISOString()
+  console.log(`Name: ${args.name} (${args.symbol})`)
+  console.log(`Allowlist cost: ${formatEther(args.cost)} ETH`)
+  console.log(`Public cost: ${formatEther(args.publicCost)} ETH`)
+  console.log(`Max supply: ${args.maxSupply}`)
+  console.log(`Allowlist sale starts on: ${date(args.allowMintingOn)}`)
+  console.log(
+    `Public sale starts on: ${
+      args.publicMintingOn ? date(args.publicMintingOn) : 'not scheduled'
+    }`
+  )
+  console.log(`Max mint amount per tx: ${args.maxMintAmountPerTx}`)
+  console.log(`Max mint per wallet: ${args.maxMintPerWallet || 'no cap'}`)
+  console.log(`Base URI: ${args.baseURI}`)
+  console.log(`Not revealed URI: ${args.notRevealedURI || 'none'}`)
+  console.log(`Allowlist entries: ${args.allowlist.length}`)
+  console.log(`Allowed addresses root: ${root}`)
+}
+
+// Deploys the NFT with the config for the current network and returns
+// { nft, args, tree }. With dryRun the resolved arguments are printed and no
+// transaction is sent.
+async function deploy({ config, dryRun = false, force = false } = {}) {
+  const { file, args } = loadDeployConfig(hre.network.name, config)
+  console.log(`Using deploy config: ${file}`)
+
+  // The allowlist (src/allowlist.json by default) is shared with the frontend
+  const { buildMerkleTree } = await import('../src/utils.mjs')
+  const tree = await buildMerkleTree(args.allowlist)
+  logDeployArgs(args, tree.root)
+
+  if (dryRun) {
+    console.log('\nDry run, nothing was deployed')
+    return
+  }
+
+  // The in-process hardhat network disappears with this script, so there is
+  // nothing worth recording for it
+  const isEphemeral = hre.network.name === 'hardhat'
+  const deploymentPath = path.join(DEPLOYMENTS_DIR, `${hre.network.name}.json`)
+  if (!isEphemeral && !force) {
+    await checkExistingDeployment(deploymentPath)
+  }
 
   // Deploy NFT
   const NFT = await hre.ethers.getContractFactory('NFT')
   let nft = await NFT.deploy(
-    NAME,
-    SYMBOL,
-    COST,
-    MAX_SUPPLY,
-    NFT_MINT_DATE,
-    MAX_MINT_AMOUNT_PER_TX,
-    IPFS_METADATA_URI,
+    args.name,
+    args.symbol,
+    args.cost,
+    args.maxSupply,
+    args.allowMintingOn,
+    args.maxMintAmountPerTx,
+    args.baseURI,
     tree.root
   )
 
   await nft.deployed()
-  console.log(`NFT deployed to: ${nft.address}\n`)
+  const receipt = await nft.deployTransaction.wait()
+  console.log(`NFT deployed to: ${nft.address}`)
+
+  // Public sale follows the allowlist sale, unless publicMintingOn is 0
+  let transaction = await nft.setPublicSale(
+    args.publicCost,
+    args.publicMintingOn
+  )
+  await transaction.wait()
+
+  // Lifetime cap so a single wallet cannot drain the supply
+  if (args.maxMintPerWallet) {
+    transaction = await nft.setMaxMintPerWallet(args.maxMintPerWallet)
+    await transaction.wait()
+  }
+
+  // Commit to the final metadata before anyone can mint
+  const { provenanceHash } = computeProvenance()
+  transaction = await nft.setProvenanceHash(provenanceHash)
+  await transaction.wait()
+  console.log(`Provenance hash: ${provenanceHash}`)
+
+  // Hide traits behind placeholder metadata until reveal()
+  if (args.notRevealedURI) {
+    transaction = await nft.setNotRevealedURI(args.notRevealedURI)
+    await transaction.wait()
+  }
+
+  if (isEphemeral) {
+    console.log('Skipping deployment artifacts on the hardhat network\n')
+    return { nft, args, tree }
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork()
+  writeJSON(deploymentPath, {
+    network: hre.network.name,
+    chainId,
+    address: nft.address,
+    deployer: nft.deployTransaction.from,
+    transactionHash: nft.deployTransaction.hash,
+    blockNumber: receipt.blockNumber,
+    config: path.relative(path.join(__dirname, '..'), file),
+    constructorArgs: {
+      name: args.name,
+      symbol: args.symbol,
+      cost: args.cost.toString(),
+      maxSupply: args.maxSupply,
+      allowMintingOn: args.allowMintingOn,
+      maxMintAmountPerTx: args.maxMintAmountPerTx,
+      baseURI: args.baseURI,
+      allowedAddressesRoot: tree.root,
+    },
+    publicCost: args.publicCost.toString(),
+    publicMintingOn: args.publicMintingOn,
+    maxMintPerWallet: args.maxMintPerWallet,
+    provenanceHash,
+    notRevealedURI: args.notRevealedURI,
+  })
+  console.log(`Deployment written to: ${deploymentPath}`)
+
+  // Keep the exact tree the contract was deployed with for later tooling
+  const treePath = path.join(DEPLOYMENTS_DIR, `${hre.network.name}.tree.json`)
+  writeJSON(treePath, tree.dump())
+  console.log(`Allowlist tree written to: ${treePath}`)
+
+  await updateFrontend(chainId, nft.address, receipt.blockNumber)
+  console.log(`Updated ${CONFIG_PATH} and ${ABI_PATH}\n`)
+
+  return { nft, args, tree }
 }
 
 // We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main().catch((error) => {
-  console.error(error)
-  process.exitCode = 1
-})
+// and properly handle errors. Prefer `npx hardhat deploy`, which takes
+// --deploy-config, --dry-run and --force; here they come from the environment.
+if (require.main === module) {
+  deploy({
+    config: process.env.DEPLOY_CONFIG,
+    dryRun: process.env.DRY_RUN === 'true',
+    force: process.env.FORCE === 'true',
+  }).catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
+
+module.exports = { deploy }
@@ -0,0 +1,223 @@
+// Content-addresses the collection and publishes it to IPFS:
+// 1. hashes images/ as a UnixFS directory (CIDv1, raw leaves)
+// 2. points every metadata/*.json image at ipfs://<images CID>/<file>
+// 3. hashes the rewritten metadata as a directory; ipfs://<CID>/ is baseURI
+// 4. publishes both directories through an uploader and checks it reports
+//    the CIDs computed here
+// The rewritten metadata and the new baseURI are only written once publishing
+// succeeds. The baseURI is updated in the deploy config that scripts/deploy.js
+// would use and in every other config that pointed at the same collection.
+//
+// Uploaders:
+//   local  stand-in for an IPFS node that stores directories under
+//          .ipfs/ipfs/<CID>/, so the pipeline runs offline (default)
+//   kubo   an IPFS node's HTTP API at IPFS_API_URL (http://127.0.0.1:5001)
+//   <path> a module exporting upload(name, files) => CID string
+//
+// Usage: node scripts/ipfs.js [--uploader local|kubo|<path>] [--dry-run]
+const fs = require('fs')
+const path = require('path')
+const { readDeployConfig, readDeployConfigs } = require('./deploy-config')
+const { validateMetadata, rewriteImageURI } = require('./metadata')
+
+const ROOT_DIR = path.join(__dirname, '..')
+const METADATA_DIR = path.join(ROOT_DIR, 'metadata')
+const IMAGES_DIR = path.join(ROOT_DIR, 'images')
+const LOCAL_STORE_DIR = path.join(ROOT_DIR, '.ipfs')
+
+// Files are { path, content } relative to the directory being published
+const readDirectory = (dir) =>
+  fs
+    .readdirSync(dir)
+    .sort()
+    .map((file) => ({
+      path: file,
+      content: fs.readFileSync(path.join(dir, file)),
+    }))
+
+// CIDv1 of the files wrapped in a directory, as `ipfs add -r --cid-version=1`
+// computes it
+const computeDirectoryCID = async (files) => {
+  const { importer } = await import('ipfs-unixfs-importer')
+  const { MemoryBlockstore } = await import('blockstore-core/memory')
+
+  let directory
+  for await (const entry of importer(files, new MemoryBlockstore(), {
+    cidVersion: 1,
+    rawLeaves: true,
+    wrapWithDirectory: true,
+  })) {
+    directory = entry
+  }
+  return directory.cid.toString()
+}
+
+// Keeps the 2-space, no trailing newline layout of the committed files
+const serializeMetadata = (metadata) => JSON.stringify(metadata, null, 2)
+
+const createLocalUploader = () => ({
+  name: 'local',
+  upload: async (name, files) => {
+    const cid = await computeDirectoryCID(files)
+    const dir = path.join(LOCAL_STORE_DIR, 'ipfs', cid)
+    fs.mkdirSync(dir, { recursive: true })
+    files.forEach((file) =>
+      fs.writeFileSync(path.join(dir, file.path), file.content)
+    )
+    return cid
+  },
+})
+
+const createKuboUploader = (apiUrl = process.env.IPFS_API_URL) => ({
+  name: 'kubo',
+  upload: async (name, files) => {
+    const form = new FormData()
+    files.forEach((file) =>
+      form.append('file', new Blob([file.content]), `${name}/${file.path}`)
+    )
+
+    const url = new URL('/api/v0/add', apiUrl || 'http://127.0.0.1:5001')
+    url.search = new URLSearchParams({
+      'cid-version': '1',
+      'raw-leaves': 'true',
+      'wrap-with-directory': 'false',
+      pin: 'true',
+    })
+    const response = await fetch(url, { method: 'POST', body: form })
+    if (!response.ok) {
+      throw new Error(
+        `IPFS add failed: ${response.status} ${await response.text()}`
+      )
+    }
+
+    // One JSON line per file and directory; the directory itself is `name`
+    const added = (await response.text())
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line))
+    return added.find((entry) => entry.Name === name).Hash
+  },
+})
+
+const UPLOADERS = {
+  local: createLocalUploader,
+  kubo: createKuboUploader,
+}
+
+const loadUploader = (name = 'local') =>
+  UPLOADERS[name] ? UPLOADERS[name]() : require(path.resolve(name))
+
+// Publishes files and fails if the uploader disagrees with the local CID
+const publish = async (uploader, name, files, expectedCID) => {
+  const cid = await uploader.upload(name, files)
+  if (cid !== expectedCID) {
+    throw new Error(
+      `${
+        uploader.name || 'Uploader'
+      } returned ${cid} for ${name}, expected ${expectedCID}`
+    )
+  }
+  console.log(`Published ${name} (${files.length} files): ${cid}`)
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const uploaderIndex = args.indexOf('--uploader')
+  const uploader = loadUploader(
+    uploaderIndex === -1 ? process.env.IPFS_UPLOADER : args[uploaderIndex + 1]
+  )
+
+  const { file: configFile, config } = readDeployConfig(
+    process.env.HARDHAT_NETWORK || 'hardhat',
+    process.env.DEPLOY_CONFIG
+  )
+
+  // Refuse to publish a collection that would not resolve
+  const { tokens, errors } = validateMetadata({
+    metadataDir: METADATA_DIR,
+    imagesDir: IMAGES_DIR,
+    maxSupply: config.maxSupply,
+    baseURI: config.baseURI,
+  })
+  if (errors.length > 0) {
+    throw new Error(
+      `Fix the metadata first (node scripts/metadata.js):\n  ${errors.join(
+        '\n  '
+      )}`
+    )
+  }
+
+  const images = readDirectory(IMAGES_DIR)
+  const imagesCID = await computeDirectoryCID(images)
+  console.log(`Images CID: ${imagesCID}`)
+
+  const metadata = tokens.map((token) => ({
+    path: `${token.edition}.json`,
+    content: Buffer.from(
+      serializeMetadata({
+        ...token,
+        image: rewriteImageURI(token.image, `ipfs://${imagesCID}/`),
+      })
+    ),
+  }))
+  const metadataCID = await computeDirectoryCID(metadata)
+  const baseURI = `ipfs://${metadataCID}/`
+  console.log(`Metadata CID: ${metadataCID}`)
+  console.log(`baseURI: ${baseURI}`)
+
+  if (dryRun) {
+    console.log('\nDry run, nothing was published or written')
+    return
+  }
+
+  await publish(uploader, 'images', images, imagesCID)
+  await publish(uploader, 'metadata', metadata, metadataCID)
+
+  metadata.forEach((file) =>
+    fs.writeFileSync(path.join(METADATA_DIR, file.path), file.content)
+  )
+  console.log(`\nUpdated ${METADATA_DIR}`)
+
+  // Configs on another baseURI are left alone, as they may be for a
+  // different collection, but named so they are not missed
+  const configs = [
+    { file: configFile, config },
+    ...readDeployConfigs().filter(({ file }) => file !== configFile),
+  ]
+  const stale = []
+  configs.forEach(({ file, config: other }) => {
+    if (other.baseURI !== config.baseURI) {
+      if (other.baseURI !== baseURI) stale.push(file)
+      return
+    }
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ ...other, baseURI }, null, 2) + '\n'
+    )
+    console.log(`Updated the baseURI in ${file}`)
+  })
+  if (stale.length > 0) {
+    console.warn(
+      `Not updated, as their baseURI was not ${config.baseURI}:\n  ${stale.join(
+        '\n  '
+      )}`
+    )
+  }
+  console.log(
+    'The provenance hash changes with the metadata; it is recomputed on deploy.'
+  )
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
+
+module.exports = {
+  computeDirectoryCID,
+  createLocalUploader,
+  createKuboUploader,
+}
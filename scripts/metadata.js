@@ -0,0 +1,187 @@
+// Validates the collection in metadata/ and images/ before it is uploaded:
+// - every <edition>.json matches the metadata schema below
+// - editions run from 1 to maxSupply in the deploy config with no gaps, since
+//   tokenURI() is baseURI + token id + ".json"
+// - every image points at a file in images/
+// - every image shares one ipfs://<CID>/ prefix, so rewriteImageURI() can
+//   point them all at a new images CID, and baseURI is an ipfs://<CID>/ URI
+// Then prints how often each trait value occurs.
+//
+// Usage: node scripts/metadata.js [metadataDir] [imagesDir]
+// The deploy config is picked like scripts/deploy.js does, from DEPLOY_CONFIG
+// or HARDHAT_NETWORK.
+const fs = require('fs')
+const path = require('path')
+const { readDeployConfig } = require('./deploy-config')
+
+const DEFAULT_METADATA_DIR = path.join(__dirname, '../metadata')
+const DEFAULT_IMAGES_DIR = path.join(__dirname, '../images')
+
+// ipfs://<CID>/<file>
+const IPFS_URI = /^ipfs:\/\/([^/]+)\/([^/]*)$/
+
+const isString = (value) => typeof value === 'string' && value.length > 0
+
+// Field checks for a metadata file; each returns an error message or null
+const SCHEMA = {
+  id: (value) => (isString(value) ? null : 'must be a non-empty string'),
+  name: (value) => (isString(value) ? null : 'must be a non-empty string'),
+  description: (value) =>
+    typeof value === 'string' ? null : 'must be a string',
+  image: (value) =>
+    isString(value) && IPFS_URI.test(value)
+      ? null
+      : 'must be an ipfs://<CID>/<file> URI',
+  edition: (value) =>
+    Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  date: (value) => (Number.isFinite(value) ? null : 'must be a number'),
+  attributes: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      return 'must be a non-empty array'
+    }
+    const invalid = value.filter(
+      (attribute) =>
+        !isString(attribute?.trait_type) ||
+        !['string', 'number'].includes(typeof attribute.value)
+    )
+    if (invalid.length > 0) {
+      return 'entries need a trait_type and a string or number value'
+    }
+    const traitTypes = value.map(({ trait_type }) => trait_type)
+    if (new Set(traitTypes).size !== traitTypes.length) {
+      return 'must not repeat a trait_type'
+    }
+    return null
+  },
+}
+
+// Points an image at a new base URI, keeping its file name
+const rewriteImageURI = (image, baseURI) =>
+  `${baseURI}${image.match(IPFS_URI)[2]}`
+
+// Returns the parsed metadata sorted by edition, and every problem found
+const validateMetadata = ({ metadataDir, imagesDir, maxSupply, baseURI }) => {
+  const errors = []
+  const tokens = []
+
+  const files = fs
+    .readdirSync(metadataDir)
+    .filter((file) => file.endsWith('.json'))
+  for (const file of files) {
+    let metadata
+    try {
+      metadata = JSON.parse(
+        fs.readFileSync(path.join(metadataDir, file), 'utf8')
+      )
+    } catch (error) {
+      errors.push(`${file}: invalid JSON (${error.message})`)
+      continue
+    }
+
+    const fieldErrors = Object.entries(SCHEMA)
+      .map(([field, check]) => [field, check(metadata[field])])
+      .filter(([, error]) => error)
+      .map(([field, error]) => `${file}: ${field} ${error}`)
+    const unknown = Object.keys(metadata).filter((field) => !SCHEMA[field])
+    if (unknown.length > 0) {
+      fieldErrors.push(`${file}: unknown fields ${unknown.join(', ')}`)
+    }
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors)
+      continue
+    }
+
+    if (file !== `${metadata.edition}.json`) {
+      errors.push(
+        `${file}: edition ${metadata.edition} does not match the file name`
+      )
+    }
+
+    const [, , image] = metadata.image.match(IPFS_URI)
+    if (!fs.existsSync(path.join(imagesDir, image))) {
+      errors.push(`${file}: image ${image} is missing from ${imagesDir}`)
+    }
+
+    tokens.push(metadata)
+  }
+  tokens.sort((a, b) => a.edition - b.edition)
+
+  // tokenURI() only resolves for ids 1..maxSupply
+  const editions = new Set(tokens.map(({ edition }) => edition))
+  const missing = []
+  for (let edition = 1; edition <= maxSupply; edition++) {
+    if (!editions.has(edition)) missing.push(edition)
+  }
+  if (missing.length > 0) {
+    errors.push(`Missing editions: ${missing.join(', ')}`)
+  }
+  const extra = tokens
+    .map(({ edition }) => edition)
+    .filter((edition) => edition > maxSupply)
+  if (extra.length > 0) {
+    errors.push(`Editions beyond maxSupply ${maxSupply}: ${extra.join(', ')}`)
+  }
+
+  // A single images CID can be rewritten with one base URI
+  const imageCIDs = new Set(tokens.map(({ image }) => image.match(IPFS_URI)[1]))
+  if (imageCIDs.size > 1) {
+    errors.push(
+      `Images use ${imageCIDs.size} different CIDs: ${[...imageCIDs].join(
+        ', '
+      )}`
+    )
+  }
+  if (!IPFS_URI.test(baseURI) || baseURI.match(IPFS_URI)[2] !== '') {
+    errors.push(`baseURI ${baseURI} must be an ipfs://<CID>/ URI`)
+  }
+
+  return { tokens, errors }
+}
+
+async function main() {
+  const { getTraitCounts } = await import('../src/rarity.mjs')
+  const metadataDir = path.resolve(process.argv[2] || DEFAULT_METADATA_DIR)
+  const imagesDir = path.resolve(process.argv[3] || DEFAULT_IMAGES_DIR)
+  const { file, config } = readDeployConfig(
+    process.env.HARDHAT_NETWORK || 'hardhat',
+    process.env.DEPLOY_CONFIG
+  )
+  console.log(`Using deploy config: ${file}\n`)
+
+  const { tokens, errors } = validateMetadata({
+    metadataDir,
+    imagesDir,
+    maxSupply: config.maxSupply,
+    baseURI: config.baseURI,
+  })
+
+  Object.entries(getTraitCounts(tokens)).forEach(([traitType, values]) => {
+    console.log(traitType)
+    Object.entries(values)
+      .sort(([, a], [, b]) => a - b)
+      .forEach(([value, count]) => {
+        const percent = ((count / tokens.length) * 100).toFixed(1)
+        console.log(
+          `  ${value.padEnd(24)} ${String(count).padStart(4)}  ${percent}%`
+        )
+      })
+  })
+
+  if (errors.length > 0) {
+    console.error(
+      `\n${errors.length} problem(s) found:\n  ${errors.join('\n  ')}`
+    )
+    process.exitCode = 1
+    return
+  }
+  console.log(`\n${tokens.length} metadata files are valid`)
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
+
+module.exports = { IPFS_URI, validateMetadata, rewriteImageURI }
@@ -0,0 +1,52 @@
+// Builds the allowlist Merkle tree and writes one file per allowed address
+// with its allowance and proof, plus root.json, so the frontend only
+// downloads the connected wallet's entry:
+//
+//   public/proofs/root.json        { root }
+//   public/proofs/<address>.json   { allowance, proof } (lowercase address)
+//
+// The input can be an allowlist of [address, allowance] pairs or a tree dump
+// written by scripts/deploy.js or the admin panel.
+//
+// Usage: node scripts/proofs.js [allowlist.json|tree.json] [outputDir]
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_ALLOWLIST = path.join(__dirname, '../src/allowlist.json')
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../public/proofs')
+
+const writeJSON = (file, data) =>
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n')
+
+async function main() {
+  const { CustomMerkleTree, buildMerkleTree, getMerkleProofs } = await import(
+    '../src/utils.mjs'
+  )
+  const allowlistPath = path.resolve(process.argv[2] || DEFAULT_ALLOWLIST)
+  const outputDir = path.resolve(process.argv[3] || DEFAULT_OUTPUT_DIR)
+
+  const input = JSON.parse(fs.readFileSync(allowlistPath, 'utf8'))
+  const tree = Array.isArray(input)
+    ? await buildMerkleTree(input)
+    : CustomMerkleTree.load(input)
+  const proofs = getMerkleProofs(tree)
+
+  // Proofs left from a previous allowlist would not match the new root
+  fs.mkdirSync(outputDir, { recursive: true })
+  fs.readdirSync(outputDir)
+    .filter((file) => file.endsWith('.json'))
+    .forEach((file) => fs.unlinkSync(path.join(outputDir, file)))
+
+  writeJSON(path.join(outputDir, 'root.json'), { root: tree.root })
+  Object.entries(proofs).forEach(([address, entry]) =>
+    writeJSON(path.join(outputDir, `${address.toLowerCase()}.json`), entry)
+  )
+  console.log(
+    `Wrote ${tree.values.length} proofs for root ${tree.root} to ${outputDir}`
+  )
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
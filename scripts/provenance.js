@@ -0,0 +1,63 @@
+// Computes the provenance hash of the collection: the sha256 of every image
+// and metadata file, concatenated in token id order and hashed again. Publish
+// it with NFT.setProvenanceHash() before the sale so holders can check that
+// the revealed metadata was not changed after minting.
+//
+// Usage: node scripts/provenance.js [metadataDir] [imagesDir]
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_METADATA_DIR = path.join(__dirname, '../metadata')
+const DEFAULT_IMAGES_DIR = path.join(__dirname, '../images')
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+// Returns the per-token hashes and the final provenance hash (bytes32)
+const computeProvenance = (
+  metadataDir = DEFAULT_METADATA_DIR,
+  imagesDir = DEFAULT_IMAGES_DIR
+) => {
+  const tokenIds = fs
+    .readdirSync(metadataDir)
+    .filter((file) => /^\d+\.json$/.test(file))
+    .map((file) => parseInt(file))
+    .sort((a, b) => a - b)
+
+  const tokens = tokenIds.map((id) => {
+    const metadata = fs.readFileSync(path.join(metadataDir, `${id}.json`))
+    const image = path.basename(JSON.parse(metadata).image)
+    return {
+      id,
+      imageHash: sha256(fs.readFileSync(path.join(imagesDir, image))),
+      metadataHash: sha256(metadata),
+    }
+  })
+
+  const concatenated = tokens
+    .map(({ imageHash, metadataHash }) => imageHash + metadataHash)
+    .join('')
+
+  return { tokens, provenanceHash: '0x' + sha256(concatenated) }
+}
+
+async function main() {
+  const { tokens, provenanceHash } = computeProvenance(
+    process.argv[2] && path.resolve(process.argv[2]),
+    process.argv[3] && path.resolve(process.argv[3])
+  )
+
+  tokens.forEach(({ id, imageHash, metadataHash }) =>
+    console.log(`${id}\t${imageHash}\t${metadataHash}`)
+  )
+  console.log(`\nProvenance hash: ${provenanceHash}`)
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
+
+module.exports = { computeProvenance }
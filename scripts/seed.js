@@ -0,0 +1,104 @@
+// Deploys the NFT to a local Hardhat node and plays through a sale so the
+// frontend has realistic state to render: allowlist and public mints from
+// several signers, plus owner actions partway through.
+//
+// Steps come from scripts/seed-scenario.json (or SEED_SCENARIO). Supported
+// actions: mint and publicMint ({ signer, amount }), pause, unpause,
+// setCost ({ cost } in ETH), withdraw and startPublicSale.
+//
+// Usage: npx hardhat run scripts/seed.js --network localhost
+const fs = require('fs')
+const path = require('path')
+const hre = require('hardhat')
+const { time } = require('@nomicfoundation/hardhat-network-helpers')
+const { formatEther, parseUnits } = require('ethers/lib/utils')
+const { deploy } = require('./deploy')
+
+const DEFAULT_SCENARIO = path.join(__dirname, 'seed-scenario.json')
+
+async function main() {
+  const { getMerkleProofs, lookupAllowlistEntry } = await import(
+    '../src/utils.mjs'
+  )
+  const scenarioPath = path.resolve(
+    process.env.SEED_SCENARIO || DEFAULT_SCENARIO
+  )
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'))
+  const accounts = await hre.ethers.getSigners()
+
+  // Always replace whatever was seeded before
+  const { nft, tree } = await deploy({
+    config: path.resolve(__dirname, '..', scenario.deployConfig),
+    force: true,
+  })
+  const proofs = getMerkleProofs(tree)
+
+  for (const step of scenario.steps) {
+    const signer = accounts[step.signer || 0]
+    let transaction
+
+    switch (step.action) {
+      case 'mint': {
+        const { allowance, proof } = lookupAllowlistEntry(
+          proofs,
+          signer.address
+        )
+        const cost = await nft.cost()
+        transaction = await nft
+          .connect(signer)
+          .mint(step.amount, allowance, proof, {
+            value: cost.mul(step.amount),
+          })
+        break
+      }
+      case 'publicMint': {
+        const publicCost = await nft.publicCost()
+        transaction = await nft
+          .connect(signer)
+          .publicMint(step.amount, { value: publicCost.mul(step.amount) })
+        break
+      }
+      case 'pause':
+        transaction = await nft.pause()
+        break
+      case 'unpause':
+        transaction = await nft.unpause()
+        break
+      case 'setCost':
+        transaction = await nft.setCost(parseUnits(step.cost, 'ether'))
+        break
+      case 'withdraw':
+        console.log(
+          `Withdrawing ${formatEther(
+            await hre.ethers.provider.getBalance(nft.address)
+          )} ETH`
+        )
+        transaction = await nft.withdraw()
+        break
+      case 'startPublicSale':
+        transaction = await nft.setPublicSale(
+          await nft.publicCost(),
+          (await time.latest()) + 1
+        )
+        break
+      default:
+        throw new Error(`Unknown seed action: ${step.action}`)
+    }
+
+    await transaction.wait()
+    console.log(
+      `${step.action}${step.amount ? ` x${step.amount}` : ''} by ${
+        signer.address
+      }`
+    )
+  }
+
+  console.log(
+    `\nSeeded ${await nft.totalSupply()} of ${await nft.maxSupply()} tokens`
+  )
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from 'react'
+import Alert from 'react-bootstrap/Alert'
+import Button from 'react-bootstrap/Button'
+import Card from 'react-bootstrap/Card'
+import Form from 'react-bootstrap/Form'
+import InputGroup from 'react-bootstrap/InputGroup'
+import Spinner from 'react-bootstrap/Spinner'
+import Table from 'react-bootstrap/Table'
+import { ethers } from 'ethers'
+import { buildMerkleTree } from '../utils.mjs'
+import { decodeError } from '../errors.mjs'
+
+// Owner-only controls. App only renders this for the contract owner, the
+// contract enforces it regardless.
+const Admin = ({ provider, nft, onUpdate }) => {
+  const [contractBalance, setContractBalance] = useState(null)
+  const [paused, setPaused] = useState(false)
+  const [cost, setCost] = useState(null)
+  const [root, setRoot] = useState('')
+
+  const [newCost, setNewCost] = useState('')
+  const [newRoot, setNewRoot] = useState('')
+  const [treeUrl, setTreeUrl] = useState(null)
+  const [allowlistError, setAllowlistError] = useState(null)
+
+  const [isWaiting, setIsWaiting] = useState(false)
+  const [status, setStatus] = useState(null)
+
+  const loadAdminData = useCallback(async () => {
+    try {
+      setContractBalance(await provider.getBalance(nft.address))
+      setPaused(await nft.paused())
+      setCost(await nft.cost())
+      setRoot(await nft.allowedAddressesRoot())
+    } catch (error) {
+      console.error('Error fetching admin data:', error)
+    }
+  }, [provider, nft])
+
+  useEffect(() => {
+    if (provider && nft) {
+      loadAdminData()
+    }
+  }, [provider, nft, loadAdminData])
+
+  // Free the previous tree download when a new allowlist is loaded
+  useEffect(() => {
+    return () => {
+      if (treeUrl) URL.revokeObjectURL(treeUrl)
+    }
+  }, [treeUrl])
+
+  // Sends an owner transaction and reports its progress in the status alert.
+  // Resolves to whether it was confirmed.
+  const sendTransaction = async (label, send) => {
+    setIsWaiting(true)
+    setStatus({ variant: 'info', message: `${label}: confirm in your wallet` })
+
+    try {
+      const signer = await provider.getSigner()
+      const transaction = await send(nft.connect(signer))
+      setStatus({
+        variant: 'info',
+        message: `${label}: waiting for ${transaction.hash}`,
+      })
+      await transaction.wait()
+      setStatus({ variant: 'success', message: `${label}: confirmed` })
+    } catch (error) {
+      console.error(`Error in ${label}:`, error)
+      setStatus({
+        variant: 'danger',
+        message: `${label} failed: ${decodeError(error).message}`,
+      })
+      setIsWaiting(false)
+      return false
+    }
+
+    // The transaction went through even if showing its effect does not
+    try {
+      await loadAdminData()
+      await onUpdate()
+    } catch (error) {
+      console.error(`Error refreshing after ${label}:`, error)
+      setStatus({
+        variant: 'warning',
+        message: `${label}: confirmed, but the sale data could not be refreshed. Reload the page to see it.`,
+      })
+    }
+    setIsWaiting(false)
+    return true
+  }
+
+  const costHandler = async (e) => {
+    e.preventDefault()
+    const confirmed = await sendTransaction('Set cost', (nft) =>
+      nft.setCost(ethers.utils.parseUnits(newCost, 'ether'))
+    )
+    if (confirmed) setNewCost('')
+  }
+
+  const rootHandler = async (e) => {
+    e.preventDefault()
+    await sendTransaction('Set allowlist root', (nft) =>
+      nft.setAllowedAddressesRoot(newRoot)
+    )
+  }
+
+  // Builds the tree for an uploaded allowlist (same format as
+  // src/allowlist.json) and offers it for download, to generate the proofs
+  // from with scripts/proofs.js
+  const allowlistHandler = async (e) => {
+    setAllowlistError(null)
+    setTreeUrl(null)
+    const [file] = e.target.files
+    if (!file) return
+
+    try {
+      const allowlist = JSON.parse(await file.text())
+      const tree = await buildMerkleTree(allowlist)
+
+      setNewRoot(tree.root)
+      setTreeUrl(
+        URL.createObjectURL(
+          new Blob([JSON.stringify(tree.dump(), null, 2) + '\n'], {
+            type: 'application/json',
+          })
+        )
+      )
+    } catch (error) {
+      console.error('Error reading allowlist:', error)
+      setNewRoot('')
+      setAllowlistError(error.message)
+    }
+  }
+
+  return (
+    <Card className='my-4'>
+      <Card.Header>Admin</Card.Header>
+      <Card.Body>
+        <Table size='sm'>
+          <tbody>
+            <tr>
+              <th>Contract balance</th>
+              <td>
+                {contractBalance
+                  ? `${ethers.utils.formatEther(contractBalance)} ETH`
+                  : '-'}
+              </td>
+            </tr>
+            <tr>
+              <th>Minting</th>
+              <td>{paused ? 'Paused' : 'Active'}</td>
+            </tr>
+            <tr>
+              <th>Allowlist cost</th>
+              <td>{cost ? `${ethers.utils.formatEther(cost)} ETH` : '-'}</td>
+            </tr>
+            <tr>
+              <th>Allowlist root</th>
+              <td className='text-break'>{root}</td>
+            </tr>
+          </tbody>
+        </Table>
+
+        {status && (
+          <Alert variant={status.variant} className='text-break'>
+            {status.message}
+          </Alert>
+        )}
+
+        {isWaiting && (
+          <Spinner
+            animation='border'
+            style={{ display: 'block', margin: '0 auto 1rem' }}
+          />
+        )}
+
+        <div className='mb-3'>
+          <Button
+            variant={paused ? 'success' : 'warning'}
+            className='me-2'
+            disabled={isWaiting}
+            onClick={() =>
+              paused
+                ? sendTransaction('Unpause', (nft) => nft.unpause())
+                : sendTransaction('Pause', (nft) => nft.pause())
+            }
+          >
+            {paused ? 'Unpause minting' : 'Pause minting'}
+          </Button>
+          <Button
+            variant='primary'
+            disabled={isWaiting || !contractBalance || contractBalance.isZero()}
+            onClick={() => sendTransaction('Withdraw', (nft) => nft.withdraw())}
+          >
+            Withdraw
+          </Button>
+        </div>
+
+        <Form onSubmit={costHandler} className='mb-3'>
+          <Form.Label>Allowlist cost</Form.Label>
+          <InputGroup>
+            <Form.Control
+              type='number'
+              min='0'
+              step='any'
+              placeholder='Cost in ETH'
+              value={newCost}
+              onChange={(e) => setNewCost(e.target.value)}
+            />
+            <InputGroup.Text>ETH</InputGroup.Text>
+            <Button type='submit' disabled={isWaiting || newCost === ''}>
+              Set cost
+            </Button>
+          </InputGroup>
+        </Form>
+
+        <Form onSubmit={rootHandler}>
+          <Form.Group className='mb-2'>
+            <Form.Label>Allowlist</Form.Label>
+            <Form.Control
+              type='file'
+              accept='application/json'
+              onChange={allowlistHandler}
+            />
+            <Form.Text muted>
+              A JSON array of [address, allowance] pairs, like
+              src/allowlist.json
+            </Form.Text>
+          </Form.Group>
+          {allowlistError && (
+            <Alert variant='danger' className='text-break'>
+              {allowlistError}
+            </Alert>
+          )}
+          <InputGroup className='mb-2'>
+            <Form.Control
+              placeholder='0x...'
+              value={newRoot}
+              onChange={(e) => setNewRoot(e.target.value)}
+            />
+            <Button
+              type='submit'
+              disabled={isWaiting || !ethers.utils.isHexString(newRoot, 32)}
+            >
+              Set root
+            </Button>
+          </InputGroup>
+          {treeUrl && (
+            <Form.Text muted>
+              Download the{' '}
+              <a href={treeUrl} download='allowlist-tree.json'>
+                tree for this allowlist
+              </a>{' '}
+              and run <code>node scripts/proofs.js allowlist-tree.json</code> so
+              allowlisted wallets can mint against the new root.
+            </Form.Text>
+          )}
+        </Form>
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default Admin
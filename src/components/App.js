@@ -1,5 +1,5 @@
-import { useEffect, useState } from 'react'
-import { Container, Row, Col } from 'react-bootstrap'
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { Container, Row, Col, Alert, Tabs, Tab } from 'react-bootstrap'
 import Countdown from 'react-countdown'
 import { ethers } from 'ethers'
 
@@ -9,134 +9,612 @@ import Data from './Data'
 import Mint from './Mint'
 import Loading from './Loading'
 import PurchaseHistory from './PurchaseHistory'
+import Gallery from './Gallery'
+import SwitchNetwork from './SwitchNetwork'
+import Admin from './Admin'
+import Notifications from './Notifications'
+import TransactionTracker from './TransactionTracker'
+import SaleStats from './SaleStats'
+import Explorer from './Explorer'
 
 // ABIs: Import your contract ABIs here
 import NFT_ABI from '../abis/NFT.json'
 
 // Config: Import your network config here
-import config from '../config.json'
+import {
+  DEFAULT_CHAIN_ID,
+  getNetworkConfig,
+  getReadOnlyProvider,
+} from '../networks'
+import { PHASE_NAMES, getNextPhase, getMintPrice } from '../phases'
+import {
+  DEFAULT_CONFIRMATIONS,
+  TransactionStatus,
+  useTransactionTracker,
+} from '../transactions'
+import {
+  connectWallet,
+  disconnectWallet,
+  discoverWallets as discoverInstalledWallets,
+  getConnectedAccount,
+  getInjectedWallet,
+  reconnectRememberedWallet,
+  rememberWallet,
+  switchAccount,
+} from '../wallet'
+import { ErrorCode, decodeError } from '../errors.mjs'
 import logo from '../preview.webp'
 
-function App() {
+// Written by scripts/proofs.js: root.json plus one file per allowed address
+const PROOFS_URL = `${process.env.PUBLIC_URL}/proofs`
+
+// Static hosts (and the dev server) may answer a missing file with
+// index.html, so anything but JSON counts as missing
+const fetchJSON = async (url) => {
+  const response = await fetch(url)
+  const isJSON = response.headers
+    .get('content-type')
+    ?.includes('application/json')
+  return response.ok && isJSON ? response.json() : null
+}
+
+// Fetches only the connected account's proof and checks the proofs were
+// generated for the root the contract currently uses
+const fetchAllowlistStatus = async (nft, account) => {
+  const proofs = await fetchJSON(`${PROOFS_URL}/root.json`)
+  if (!proofs) {
+    return {
+      entry: null,
+      error:
+        'Allowlist proofs not found. Allowlist minting is unavailable until public/proofs/ is generated.',
+    }
+  }
+
+  // No file for the account means it is not allowlisted
+  const entry = account
+    ? await fetchJSON(`${PROOFS_URL}/${account.toLowerCase()}.json`)
+    : null
+
+  const allowedAddressesRoot = await nft.allowedAddressesRoot()
+  const error =
+    proofs.root !== allowedAddressesRoot
+      ? `Allowlist root ${proofs.root} does not match the contract root ${allowedAddressesRoot}. Minting will fail until public/proofs/ is regenerated.`
+      : null
+
+  return { entry, error }
+}
+
+// How many mints the recent mints ticker shows
+const RECENT_MINTS = 5
+
+const toRecentMint = async (event) => ({
+  id: `${event.transactionHash}-${event.logIndex}`,
+  minter: event.args.minter,
+  amount: event.args.mintAmount.toNumber(),
+  timestamp: (await event.getBlock()).timestamp,
+})
+
+// Reads through the wallet's EIP-1193 provider, or over RPC without one
+const createDefaultProvider = (ethereum) =>
+  ethereum ? new ethers.providers.Web3Provider(ethereum) : getReadOnlyProvider()
+
+// discoverWallets finds EIP-1193 wallets (EIP-6963 by default) and
+// createProvider wraps one (or null, for read-only mode) in an ethers
+// provider. Both can be replaced to run the app against mock providers.
+function App({
+  discoverWallets = discoverInstalledWallets,
+  createProvider = createDefaultProvider,
+}) {
+  const [wallets, setWallets] = useState([])
+  const [ethereum, setEthereum] = useState(null)
+  const [isDiscovering, setIsDiscovering] = useState(true)
+
   const [provider, setProvider] = useState(null)
   const [nft, setNFT] = useState(null)
+  // Block the NFT was deployed in, where event queries start
+  const [deployBlock, setDeployBlock] = useState(0)
 
   const [account, setAccount] = useState(null)
+  const [chainId, setChainId] = useState(null)
+  const [isSupportedNetwork, setIsSupportedNetwork] = useState(true)
+  const [confirmations, setConfirmations] = useState(DEFAULT_CONFIRMATIONS)
 
-  const [revealTime, setRevealTime] = useState(0)
+  const [phase, setPhase] = useState(0)
+  const [paused, setPaused] = useState(false)
+  const [allowMintingOn, setAllowMintingOn] = useState(0)
+  const [publicMintingOn, setPublicMintingOn] = useState(0)
   const [maxSupply, setMaxSupply] = useState(0)
   const [totalSupply, setTotalSupply] = useState(0)
+  const [isSoldOut, setIsSoldOut] = useState(false)
+  const [recentMints, setRecentMints] = useState([])
   const [cost, setCost] = useState(0)
+  const [publicCost, setPublicCost] = useState(0)
   const [balance, setBalance] = useState(0)
-  const [allowedAddresses, setAllowedAddresses] = useState([])
+  const [walletMinted, setWalletMinted] = useState(0)
+  const [maxMintPerWallet, setMaxMintPerWallet] = useState(0)
+  const [mintsRemaining, setMintsRemaining] = useState(0)
+  const [allowlistEntry, setAllowlistEntry] = useState(null)
+  const [allowlistMinted, setAllowlistMinted] = useState(0)
+  const [isRevealed, setIsRevealed] = useState(true)
+  const [allowlistError, setAllowlistError] = useState(null)
+  const [isOwner, setIsOwner] = useState(false)
 
   const [isLoading, setIsLoading] = useState(true)
+  const [loadError, setLoadError] = useState(null)
+
+  const [notifications, setNotifications] = useState([])
+  const nextNotificationId = useRef(0)
+
+  // Shows a toast; notification is { variant, title, message }
+  const notify = useCallback((notification) => {
+    const id = nextNotificationId.current++
+    setNotifications((notifications) => [
+      ...notifications,
+      { id, ...notification },
+    ])
+  }, [])
+
+  const dismiss = useCallback((id) => {
+    setNotifications((notifications) =>
+      notifications.filter((notification) => notification.id !== id)
+    )
+  }, [])
+
+  // Supply and wallet numbers that change with every mint
+  const loadMintState = useCallback(async (nft, account) => {
+    // Fetch maxSupply
+    const maxSupply = await nft.maxSupply()
+    setMaxSupply(maxSupply)
+
+    // Fetch totalSupply
+    const totalSupply = await nft.totalSupply()
+    setTotalSupply(totalSupply)
+    setIsSoldOut(totalSupply.gte(maxSupply))
+
+    // Nothing to fetch for the wallet in read-only mode
+    if (!account) {
+      setBalance(0)
+      setWalletMinted(0)
+      setMintsRemaining(0)
+      setAllowlistMinted(0)
+      return
+    }
+
+    // Fetch account balance
+    setBalance(await nft.balanceOf(account))
+
+    // Fetch lifetime mints for the account against the per-wallet cap
+    setWalletMinted((await nft.walletMinted(account)).toNumber())
+    setMintsRemaining((await nft.mintsRemaining(account)).toNumber())
+    setAllowlistMinted((await nft.allowlistMinted(account)).toNumber())
+  }, [])
+
+  // Phase, pause state and costs, which the owner can change from the admin
+  // panel
+  const loadSaleSettings = useCallback(async (nft) => {
+    setPhase(await nft.currentPhase())
+    setPaused(await nft.paused())
+
+    // Fetch allowlist and public cost
+    setCost(await nft.cost())
+    setPublicCost(await nft.publicCost())
+  }, [])
+
+  // Refresh only what a mint changed once it confirms
+  const onTransactionSettled = useCallback(
+    async ({ status }) => {
+      if (status !== TransactionStatus.Confirmed) return
+      try {
+        await loadMintState(nft, account)
+      } catch (error) {
+        console.error('Error refreshing mint state:', error)
+      }
+    },
+    [nft, account, loadMintState]
+  )
+
+  const {
+    transactions,
+    track: trackTransaction,
+    dismiss: dismissTransaction,
+  } = useTransactionTracker({
+    provider,
+    nft,
+    chainId,
+    account,
+    confirmations,
+    onSettled: onTransactionSettled,
+  })
+
+  // The wallet the shown data was loaded with
+  const loadedWith = useRef()
 
   const loadBlockchainData = async () => {
     console.log('loadBlockchainData')
+    loadedWith.current = ethereum
+    // Use the wallet if it already shares an account with us. Otherwise read
+    // the default chain over RPC so the sale can be shown without a wallet.
+    const connectedAccount = await getConnectedAccount(ethereum)
+    const account = connectedAccount
+      ? ethers.utils.getAddress(connectedAccount)
+      : null
+    setAccount(account)
+
     // Initiate provider
-    const provider = new ethers.providers.Web3Provider(window.ethereum)
+    const provider = createProvider(account ? ethereum : null)
     setProvider(provider)
 
     console.log('provider', provider)
+
+    // Pick the deployment for the wallet's current chain
+    const chainId = account
+      ? (await provider.getNetwork()).chainId
+      : DEFAULT_CHAIN_ID
+    setChainId(chainId)
+    const networkConfig = getNetworkConfig(chainId)
+    setIsSupportedNetwork(networkConfig !== null)
+    setConfirmations(networkConfig?.confirmations || DEFAULT_CONFIRMATIONS)
+    if (!networkConfig) {
+      setNFT(null)
+      setIsOwner(false)
+      setIsLoading(false)
+      return
+    }
+
     // Initiate contract
+    setDeployBlock(networkConfig.nft.deployBlock || 0)
     const nft = new ethers.Contract(
-      config[31337].nft.address,
+      networkConfig.nft.address,
       NFT_ABI,
       provider
     )
     setNFT(nft)
 
-    // Fetch accounts
-    const accounts = await window.ethereum.request({
-      method: 'eth_requestAccounts',
-    })
-    const account = ethers.utils.getAddress(accounts[0])
-    setAccount(account)
-
-    // Fetch Countdown
-    const allowMintingOn = await nft.allowMintingOn()
-    setRevealTime(allowMintingOn.toString() + '000')
-
-    // Fetch maxSupply
-    setMaxSupply(await nft.maxSupply())
+    // Owner gets the admin panel
+    setIsOwner(account !== null && account === (await nft.owner()))
 
-    // Fetch totalSupply
-    setTotalSupply(await nft.totalSupply())
+    // Fetch sale phases (timestamps in ms for Countdown)
+    setAllowMintingOn((await nft.allowMintingOn()).toNumber() * 1000)
+    setPublicMintingOn((await nft.publicMintingOn()).toNumber() * 1000)
+    await loadSaleSettings(nft)
 
-    // Fetch cost
-    setCost(await nft.cost())
+    // Fetch supply and what the account has minted so far
+    setMaxMintPerWallet((await nft.maxMintPerWallet()).toNumber())
+    await loadMintState(nft, account)
 
-    // Fetch account balance
-    setBalance(await nft.balanceOf(account))
+    // Tokens show placeholder art until the owner reveals the collection
+    const notRevealedURI = await nft.notRevealedURI()
+    setIsRevealed((await nft.revealed()) || notRevealedURI === '')
 
-    // Set allowed addresses (first two Hardhat accounts)
-    const allowedAddrs = [
-      '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', // Hardhat account 0
-      '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', // Hardhat account 1
-      '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC', // Hardhat account 2
-    ]
-    setAllowedAddresses(allowedAddrs)
+    // Fetch allowlist status
+    const { entry, error } = await fetchAllowlistStatus(nft, account)
+    setAllowlistEntry(entry)
+    setAllowlistError(error)
 
     console.log('isLoading', isLoading)
 
     setIsLoading(false)
   }
 
+  // Find installed wallets and reconnect to the one used last time. Loading
+  // waits for it (briefly) so a returning user is not shown read-only mode
+  // first, and reloads if it only announces itself after that.
+  useEffect(
+    () =>
+      reconnectRememberedWallet({
+        discover: discoverWallets,
+        onAnnounce: (wallet) =>
+          setWallets((wallets) => [
+            ...wallets.filter(({ info }) => info.uuid !== wallet.info.uuid),
+            wallet,
+          ]),
+        onReconnect: (wallet) => setEthereum(wallet.provider),
+        onSettled: () => setIsDiscovering(false),
+      }),
+    [discoverWallets]
+  )
+
+  useEffect(() => {
+    if (isLoading && !isDiscovering) {
+      setLoadError(null)
+      loadBlockchainData().catch((error) => {
+        console.error('Error loading blockchain data:', error)
+        setLoadError(
+          'Could not load the sale. Check your connection and try again.'
+        )
+        setIsLoading(false)
+      })
+    }
+    // Loading is requested through isLoading; loadBlockchainData changes on
+    // every render and must not start a load by itself
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoading, isDiscovering])
+
+  // Load again if the wallet changed since, e.g. the remembered wallet
+  // announced itself after loading had started without it
+  useEffect(() => {
+    if (!isLoading && loadedWith.current !== ethereum) setIsLoading(true)
+  }, [isLoading, ethereum])
+
+  // Surfaces wallet problems (missing wallet, rejected request) as toasts
+  const notifyWalletError = useCallback(
+    (title, error) => {
+      const { code, message } = decodeError(error)
+      notify({
+        variant: code === ErrorCode.UserRejected ? 'warning' : 'danger',
+        title,
+        message,
+      })
+    },
+    [notify]
+  )
+
+  const connectHandler = async (wallet) => {
+    try {
+      await connectWallet(wallet.provider)
+      rememberWallet(wallet)
+      setEthereum(wallet.provider)
+      setIsLoading(true)
+    } catch (error) {
+      notifyWalletError('Could not connect wallet', error)
+    }
+  }
+
+  const switchAccountHandler = async () => {
+    try {
+      await switchAccount(ethereum)
+      setIsLoading(true)
+    } catch (error) {
+      notifyWalletError('Could not switch account', error)
+    }
+  }
+
+  const disconnectHandler = async () => {
+    await disconnectWallet(ethereum)
+    setEthereum(null)
+    setIsLoading(true)
+  }
+
+  // Reload everything when the wallet switches chain or account
+  useEffect(() => {
+    if (!ethereum) return
+
+    const reload = () => setIsLoading(true)
+    ethereum.on('chainChanged', reload)
+    ethereum.on('accountsChanged', reload)
+
+    return () => {
+      ethereum.removeListener('chainChanged', reload)
+      ethereum.removeListener('accountsChanged', reload)
+    }
+  }, [ethereum])
+
+  // Keep pause and allowlist state current while the owner changes them
+  useEffect(() => {
+    if (!nft) return
+
+    const onPaused = () => setPaused(true)
+    const onUnpaused = () => setPaused(false)
+    const onRootSet = async () => {
+      try {
+        const { entry, error } = await fetchAllowlistStatus(nft, account)
+        setAllowlistEntry(entry)
+        setAllowlistError(error)
+      } catch (error) {
+        console.error('Error refreshing allowlist:', error)
+      }
+    }
+
+    nft.on('Paused', onPaused)
+    nft.on('Unpaused', onUnpaused)
+    nft.on('AllowedAddressesRootSet', onRootSet)
+
+    return () => {
+      nft.off('Paused', onPaused)
+      nft.off('Unpaused', onUnpaused)
+      nft.off('AllowedAddressesRootSet', onRootSet)
+    }
+  }, [nft, account])
+
+  // Follow mints by every visitor, and transfers in and out of this account,
+  // so supply, the ticker and the balance stay live. Resubscribes whenever
+  // the contract (network) or account changes.
   useEffect(() => {
-    if (isLoading) {
-      loadBlockchainData()
+    if (!nft) return
+
+    let cancelled = false
+
+    // Newest first, without the duplicates a subscription can replay
+    const addRecentMints = (mints) =>
+      setRecentMints((recentMints) =>
+        [...mints, ...recentMints]
+          .filter(
+            (mint, i, all) => all.findIndex(({ id }) => id === mint.id) === i
+          )
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, RECENT_MINTS)
+      )
+
+    const loadRecentMints = async () => {
+      const events = await nft.queryFilter(nft.filters.Mint(), deployBlock)
+      const mints = await Promise.all(
+        events.slice(-RECENT_MINTS).map(toRecentMint)
+      )
+      if (!cancelled) addRecentMints(mints)
+    }
+
+    const onMint = async (mintAmount, minter, event) => {
+      try {
+        const mint = await toRecentMint(event)
+        if (cancelled) return
+        addRecentMints([mint])
+        await loadMintState(nft, account)
+      } catch (error) {
+        console.error('Error handling mint:', error)
+      }
+    }
+
+    const onTransfer = async () => {
+      try {
+        const balance = await nft.balanceOf(account)
+        if (!cancelled) setBalance(balance)
+      } catch (error) {
+        console.error('Error refreshing balance:', error)
+      }
+    }
+
+    setRecentMints([])
+    loadRecentMints().catch((error) =>
+      console.error('Error fetching recent mints:', error)
+    )
+    nft.on('Mint', onMint)
+
+    const transferFilters = account
+      ? [nft.filters.Transfer(account), nft.filters.Transfer(null, account)]
+      : []
+    transferFilters.forEach((filter) => nft.on(filter, onTransfer))
+
+    return () => {
+      cancelled = true
+      nft.off('Mint', onMint)
+      transferFilters.forEach((filter) => nft.off(filter, onTransfer))
     }
-  }, [isLoading])
+  }, [nft, deployBlock, account, loadMintState])
+
+  const nextPhase = getNextPhase(phase, allowMintingOn, publicMintingOn)
+  const price = getMintPrice(
+    phase,
+    allowlistEntry !== null,
+    cost,
+    publicCost,
+    publicMintingOn
+  )
 
   return (
     <Container>
-      <Navigation account={account} />
+      <Navigation
+        account={account}
+        wallets={
+          wallets.length > 0 ? wallets : [getInjectedWallet()].filter(Boolean)
+        }
+        onConnect={connectHandler}
+        onSwitchAccount={switchAccountHandler}
+        onDisconnect={disconnectHandler}
+      />
+      <Notifications notifications={notifications} onClose={dismiss} />
 
       <h1 className='my-4 text-center'>Dapp Punks</h1>
 
       {isLoading ? (
         <Loading />
+      ) : loadError ? (
+        <Alert variant='danger' className='text-center'>
+          {loadError}
+        </Alert>
+      ) : !isSupportedNetwork ? (
+        <SwitchNetwork ethereum={ethereum} chainId={chainId} />
       ) : (
         <>
-          <Row>
-            <Col>
-              {balance > 0 ? (
-                <div className='text-center'>
-                  <h2>You own this Dapp Punk</h2>
-                  <img
-                    src={`https://gateway.pinata.cloud/ipfs/QmQPEMsfd1tJnqYPbnTQCjoa8vczfsV1FmqZWgRdNQ7z3g/${balance.toString()}.png`}
-                    alt='Open Punk'
-                    width='400px'
-                    height='400px'
+          {allowlistError && (
+            <Alert variant='danger' className='text-center'>
+              {allowlistError}
+            </Alert>
+          )}
+          {/* No router, so the pages are tabs. Explorer loads on first open. */}
+          <Tabs defaultActiveKey='mint' mountOnEnter className='mb-3'>
+            <Tab eventKey='mint' title='Mint'>
+              <Row>
+                <Col>
+                  {balance > 0 && !isRevealed ? (
+                    <div className='text-center'>
+                      <h2>You own a Dapp Punk</h2>
+                      <img src={logo} alt='Unrevealed Punk' width='100%' />
+                      <p className='my-2'>Your Punk will be revealed soon</p>
+                    </div>
+                  ) : (
+                    <img src={logo} alt='' width='100%' />
+                  )}
+                </Col>
+                <Col>
+                  {nextPhase && (
+                    <div className='my-4 text-center'>
+                      <p className='mb-1'>
+                        {PHASE_NAMES[nextPhase.phase]} starts in
+                      </p>
+                      <Countdown
+                        date={nextPhase.startsOn}
+                        className='h2'
+                        onComplete={() => setIsLoading(true)}
+                      />
+                    </div>
+                  )}
+                  <Data
+                    maxSupply={maxSupply}
+                    totalSupply={totalSupply}
+                    phase={phase}
+                    paused={paused}
+                    price={price}
+                    isConnected={account !== null}
+                    balance={balance}
+                    walletMinted={walletMinted}
+                    maxMintPerWallet={maxMintPerWallet}
                   />
-                </div>
-              ) : (
-                <img src={logo} alt='' width='100%' />
-              )}
-            </Col>
-            <Col>
-              <div className='my-4 text-center'>
-                <Countdown date={parseInt(revealTime)} className='h2' />
-              </div>
-              <Data
-                maxSupply={maxSupply}
-                totalSupply={totalSupply}
-                cost={cost}
-                balance={balance}
-              />
-              <Mint
-                provider={provider}
+                  <SaleStats
+                    maxSupply={maxSupply}
+                    totalSupply={totalSupply}
+                    recentMints={recentMints}
+                  />
+                  <Mint
+                    provider={provider}
+                    nft={nft}
+                    phase={phase}
+                    paused={paused}
+                    isSoldOut={isSoldOut}
+                    isConnected={account !== null}
+                    price={price}
+                    trackTransaction={trackTransaction}
+                    notify={notify}
+                    allowlistEntry={allowlistEntry}
+                    allowlistMinted={allowlistMinted}
+                    mintsRemaining={mintsRemaining}
+                  />
+                  <TransactionTracker
+                    transactions={transactions}
+                    confirmations={confirmations}
+                    onDismiss={dismissTransaction}
+                  />
+                  <div className='my-4'>
+                    <PurchaseHistory
+                      nft={nft}
+                      account={account}
+                      fromBlock={deployBlock}
+                    />
+                  </div>
+                </Col>
+              </Row>
+              <Row>
+                <Col>
+                  <Gallery nft={nft} account={account} balance={balance} />
+                </Col>
+              </Row>
+            </Tab>
+            <Tab eventKey='explore' title='Explore'>
+              <Explorer
                 nft={nft}
-                cost={cost}
-                setIsLoading={setIsLoading}
-                allowedAddresses={allowedAddresses}
+                totalSupply={totalSupply}
+                isRevealed={isRevealed}
               />
-              <div className='my-4'>
-                <PurchaseHistory nft={nft} account={account} />
-              </div>
-            </Col>
-          </Row>
+            </Tab>
+            {isOwner && (
+              <Tab eventKey='admin' title='Admin'>
+                <Admin
+                  provider={provider}
+                  nft={nft}
+                  onUpdate={() => loadSaleSettings(nft)}
+                />
+              </Tab>
+            )}
+          </Tabs>
         </>
       )}
     </Container>
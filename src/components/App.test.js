@@ -0,0 +1,82 @@
+import '@testing-library/jest-dom'
+import { render, screen } from '@testing-library/react'
+import { ethers } from 'ethers'
+import App from './App'
+import { RECONNECT_TIMEOUT, rememberWallet } from '../wallet'
+import {
+  announceLater,
+  createMockProvider,
+  createMockWallet,
+} from '../mockWallet'
+
+const ACCOUNT = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'
+// How the navigation bar shows the connected account
+const ACCOUNT_LABEL = `${ACCOUNT.slice(0, 6)}...${ACCOUNT.slice(-4)}`
+
+// Chain 999 has no deployment in config.json, so the app stops loading at the
+// network check instead of reading the contract
+const UNSUPPORTED_CHAIN = /not available on this network \(chain 999\)/
+
+// RPC for read-only mode that answers the chain id but no contract calls
+const readOnlyRpc = createMockProvider({ eth_chainId: () => '0x7a69' })
+
+const createProvider = (ethereum) =>
+  new ethers.providers.Web3Provider(ethereum || readOnlyRpc)
+
+describe('App', () => {
+  let wallet
+
+  beforeEach(() => {
+    window.localStorage.clear()
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    wallet = createMockWallet(
+      'io.mock',
+      createMockProvider({
+        eth_accounts: () => [ACCOUNT.toLowerCase()],
+        eth_chainId: () => '0x3e7',
+      })
+    )
+    rememberWallet(wallet)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('reconnects the remembered wallet when it announces after mount', async () => {
+    render(
+      <App
+        discoverWallets={announceLater([wallet], 50)}
+        createProvider={createProvider}
+      />
+    )
+
+    expect(await screen.findByText(UNSUPPORTED_CHAIN)).toBeInTheDocument()
+    expect(screen.getByText(ACCOUNT_LABEL)).toBeInTheDocument()
+    expect(wallet.provider.request).toHaveBeenCalledWith({
+      method: 'eth_accounts',
+    })
+    expect(readOnlyRpc.request).not.toHaveBeenCalled()
+  })
+
+  it('reloads with the remembered wallet when it announces after the timeout', async () => {
+    render(
+      <App
+        discoverWallets={announceLater([wallet], RECONNECT_TIMEOUT + 200)}
+        createProvider={createProvider}
+      />
+    )
+
+    // Read-only mode comes first and cannot read the contract here
+    expect(
+      await screen.findByText(/Could not load the sale/)
+    ).toBeInTheDocument()
+
+    expect(
+      await screen.findByText(UNSUPPORTED_CHAIN, {}, { timeout: 2000 })
+    ).toBeInTheDocument()
+    expect(screen.getByText(ACCOUNT_LABEL)).toBeInTheDocument()
+  })
+})
@@ -1,18 +1,45 @@
 import { ethers } from 'ethers'
+import { PHASE_NAMES } from '../phases'
 
-const Data = ({ maxSupply, totalSupply, cost, balance }) => {
+const Data = ({
+  maxSupply,
+  totalSupply,
+  phase,
+  paused,
+  price,
+  isConnected,
+  balance,
+  walletMinted,
+  maxMintPerWallet,
+}) => {
   return (
     <div className='text-center'>
       <p>
-        <strong>Available to Mint:</strong> {maxSupply - totalSupply}
+        <strong>Current Phase:</strong> {PHASE_NAMES[phase]}
+        {paused && ' (paused)'}
       </p>
       <p>
-        <strong>Cost to Mint:</strong> {ethers.utils.formatUnits(cost, 'ether')}{' '}
-        ETH
+        <strong>Available to Mint:</strong> {maxSupply - totalSupply}
       </p>
       <p>
-        <strong>You own:</strong> {balance.toString()}
+        <strong>Your Cost to Mint:</strong>{' '}
+        {price
+          ? `${ethers.utils.formatUnits(price, 'ether')} ETH`
+          : 'Allowlist only'}
       </p>
+      {isConnected && (
+        <>
+          <p>
+            <strong>You own:</strong> {balance.toString()}
+          </p>
+          <p>
+            <strong>Minted by you:</strong>{' '}
+            {maxMintPerWallet > 0
+              ? `${walletMinted} of ${maxMintPerWallet}`
+              : walletMinted}
+          </p>
+        </>
+      )}
     </div>
   )
 }
@@ -0,0 +1,201 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Row, Col } from 'react-bootstrap'
+import Alert from 'react-bootstrap/Alert'
+import Badge from 'react-bootstrap/Badge'
+import Card from 'react-bootstrap/Card'
+import Form from 'react-bootstrap/Form'
+import Spinner from 'react-bootstrap/Spinner'
+import { fetchTokenMetadata } from '../ipfs'
+import TokenImage from './TokenImage'
+import { getTraitCounts, getTraitValue, rankByRarity } from '../rarity.mjs'
+
+const SortOrder = {
+  Rarity: 'rarity',
+  Id: 'id',
+}
+
+// Every minted token with its traits, rarity rank and owner
+const Explorer = ({ nft, totalSupply, isRevealed }) => {
+  const [tokens, setTokens] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [failed, setFailed] = useState(0)
+  const [filters, setFilters] = useState({})
+  const [sortOrder, setSortOrder] = useState(SortOrder.Rarity)
+
+  // Refetch when supply changes so new mints show up
+  const supply = totalSupply.toString()
+
+  useEffect(() => {
+    let isCurrent = true
+
+    const loadTokens = async () => {
+      setLoading(true)
+      try {
+        const tokenIds = await Promise.all(
+          Array.from({ length: parseInt(supply) }, (_, i) =>
+            nft.tokenByIndex(i)
+          )
+        )
+
+        const results = await Promise.all(
+          tokenIds.map(async (tokenId) => {
+            try {
+              const [metadata, owner] = await Promise.all([
+                fetchTokenMetadata(nft, tokenId),
+                nft.ownerOf(tokenId),
+              ])
+              return { ...metadata, tokenId: tokenId.toNumber(), owner }
+            } catch (error) {
+              console.error(`Error fetching token ${tokenId}:`, error)
+              return null
+            }
+          })
+        )
+
+        if (!isCurrent) return
+        const loaded = results.filter(Boolean)
+        setTokens(rankByRarity(loaded))
+        setFailed(results.length - loaded.length)
+      } catch (error) {
+        console.error('Error fetching collection:', error)
+        if (isCurrent) setTokens([])
+      } finally {
+        if (isCurrent) setLoading(false)
+      }
+    }
+
+    if (nft && isRevealed) {
+      loadTokens()
+    } else {
+      setLoading(false)
+    }
+
+    return () => {
+      isCurrent = false
+    }
+  }, [nft, supply, isRevealed])
+
+  const traitCounts = useMemo(() => getTraitCounts(tokens), [tokens])
+
+  const visibleTokens = tokens
+    .filter((token) =>
+      Object.entries(filters).every(
+        ([traitType, value]) =>
+          !value || getTraitValue(token.attributes, traitType) === value
+      )
+    )
+    .sort((a, b) =>
+      sortOrder === SortOrder.Rarity
+        ? a.rarityRank - b.rarityRank || a.tokenId - b.tokenId
+        : a.tokenId - b.tokenId
+    )
+
+  if (!isRevealed) {
+    return (
+      <Alert variant='info' className='text-center'>
+        Traits and rarity will show here once the collection is revealed
+      </Alert>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className='text-center my-4'>
+        <Spinner animation='border' />
+        <p>Loading the collection...</p>
+      </div>
+    )
+  }
+
+  if (tokens.length === 0) {
+    return (
+      <p className='text-center my-4'>No Dapp Punks have been minted yet</p>
+    )
+  }
+
+  const percent = (count) => `${((count / tokens.length) * 100).toFixed(0)}%`
+
+  return (
+    <div className='my-4'>
+      {failed > 0 && (
+        <Alert variant='warning'>
+          Metadata for {failed} token{failed > 1 ? 's' : ''} could not be loaded
+          and is left out of the rankings
+        </Alert>
+      )}
+
+      <Row className='mb-3'>
+        {Object.keys(traitCounts).map((traitType) => (
+          <Col md={3} key={traitType} className='mb-2'>
+            <Form.Label className='small mb-1'>{traitType}</Form.Label>
+            <Form.Select
+              size='sm'
+              value={filters[traitType] || ''}
+              onChange={(e) =>
+                setFilters({ ...filters, [traitType]: e.target.value })
+              }
+            >
+              <option value=''>Any</option>
+              {Object.entries(traitCounts[traitType])
+                .sort(([, a], [, b]) => a - b)
+                .map(([value, count]) => (
+                  <option key={value} value={value}>
+                    {value} ({count})
+                  </option>
+                ))}
+            </Form.Select>
+          </Col>
+        ))}
+        <Col md={3} className='mb-2'>
+          <Form.Label className='small mb-1'>Sort by</Form.Label>
+          <Form.Select
+            size='sm'
+            value={sortOrder}
+            onChange={(e) => setSortOrder(e.target.value)}
+          >
+            <option value={SortOrder.Rarity}>Rarity</option>
+            <option value={SortOrder.Id}>Token id</option>
+          </Form.Select>
+        </Col>
+      </Row>
+
+      <p className='text-muted small'>
+        Showing {visibleTokens.length} of {tokens.length}
+      </p>
+
+      <Row>
+        {visibleTokens.map((token) => (
+          <Col md={4} key={token.tokenId} className='mb-4'>
+            <Card className='h-100'>
+              <TokenImage urls={token.imageUrls} alt={token.name} />
+              <Card.Body>
+                <Card.Title>Dapp Punk #{token.tokenId}</Card.Title>
+                <Card.Subtitle className='mb-2 text-muted small'>
+                  Rank {token.rarityRank} of {tokens.length} · Owner{' '}
+                  <span title={token.owner}>
+                    {token.owner.slice(0, 6)}...{token.owner.slice(-4)}
+                  </span>
+                </Card.Subtitle>
+                {Object.keys(traitCounts).map((traitType) => {
+                  const value = getTraitValue(token.attributes, traitType)
+                  return (
+                    <Badge
+                      key={traitType}
+                      bg='secondary'
+                      className='me-1 mb-1'
+                      title={traitType}
+                    >
+                      {value} ({percent(traitCounts[traitType][value])})
+                    </Badge>
+                  )
+                })}
+              </Card.Body>
+            </Card>
+          </Col>
+        ))}
+      </Row>
+    </div>
+  )
+}
+
+export default Explorer
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react'
+import { Row, Col } from 'react-bootstrap'
+import TokenCard from './TokenCard'
+
+// balance is only used to refetch after the account mints or transfers
+const Gallery = ({ nft, account, balance }) => {
+  const [tokenIds, setTokenIds] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchTokenIds = async () => {
+      if (!nft || !account) {
+        setLoading(false)
+        return
+      }
+
+      try {
+        setTokenIds(await nft.walletOfOwner(account))
+      } catch (error) {
+        console.error('Error fetching owned NFTs:', error)
+        setTokenIds([])
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchTokenIds()
+  }, [nft, account, balance])
+
+  if (loading) {
+    return <div className='text-center mt-4'>Loading your Dapp Punks...</div>
+  }
+
+  if (tokenIds.length === 0) {
+    return null
+  }
+
+  return (
+    <div className='mt-4'>
+      <h3>Your Dapp Punks</h3>
+      <Row>
+        {tokenIds.map((tokenId) => (
+          <Col key={tokenId.toString()} md={4} className='mb-3'>
+            <TokenCard nft={nft} tokenId={tokenId} />
+          </Col>
+        ))}
+      </Row>
+    </div>
+  )
+}
+
+export default Gallery
@@ -1,11 +1,26 @@
 import { useState, useEffect } from 'react'
+import Alert from 'react-bootstrap/Alert'
 import Button from 'react-bootstrap/Button'
 import Form from 'react-bootstrap/Form'
 import Spinner from 'react-bootstrap/Spinner'
 import { ethers } from 'ethers'
-import { buildMerkleTree, getMerkleProof } from '../utils'
+import { SalePhase, getMintDisabledReason } from '../phases'
+import { ErrorCode, decodeError, simulateTransaction } from '../errors.mjs'
 
-const Mint = ({ provider, nft, cost, setIsLoading, allowedAddresses }) => {
+const Mint = ({
+  provider,
+  nft,
+  phase,
+  paused,
+  isSoldOut,
+  isConnected,
+  price,
+  trackTransaction,
+  notify,
+  allowlistEntry,
+  allowlistMinted,
+  mintsRemaining,
+}) => {
   const [isWaiting, setIsWaiting] = useState(false)
   const [maxMintAmount, setMaxMintAmount] = useState(1)
   const [mintAmount, setMintAmount] = useState(1)
@@ -32,37 +47,80 @@ const Mint = ({ provider, nft, cost, setIsLoading, allowedAddresses }) => {
 
     try {
       const signer = await provider.getSigner()
-      const totalCost = cost.mul(mintAmount)
+      const contract = nft.connect(signer)
 
-      // Get user's address
-      const userAddress = await signer.getAddress()
+      // Public sale needs no proof, the allowlist sale uses the allowance and
+      // Merkle proof for the user's address
+      const [method, args] =
+        phase === SalePhase.Public
+          ? ['publicMint', [mintAmount]]
+          : [
+              'mint',
+              [mintAmount, allowlistEntry.allowance, allowlistEntry.proof],
+            ]
+      const overrides = { value: price.mul(mintAmount) }
 
-      // Generate Merkle proof for the user's address
-      if (!allowedAddresses || !userAddress) {
-        throw new Error('Missing allowed addresses or user address')
-      }
-
-      const tree = await buildMerkleTree(allowedAddresses)
-      const proof = getMerkleProof(tree, userAddress, allowedAddresses)
+      // Simulate first so a doomed mint is reported before the wallet opens
+      overrides.gasLimit = await simulateTransaction(
+        contract,
+        method,
+        args,
+        overrides
+      )
 
-      const transaction = await nft
-        .connect(signer)
-        .mint(mintAmount, proof, { value: totalCost })
-      await transaction.wait()
+      // The tracker follows it from here and refreshes supply once it confirms
+      const transaction = await contract[method](...args, overrides)
+      trackTransaction(
+        transaction,
+        `Mint ${mintAmount} NFT${mintAmount > 1 ? 's' : ''}`
+      )
     } catch (error) {
       console.error('Error minting NFT:', error)
-      if (error.message.includes('Address not in allowed list')) {
-        window.alert('Your address is not in the allowed list')
-      } else {
-        window.alert('User rejected or transaction reverted')
-      }
+      const { code, message } = decodeError(error)
+      notify({
+        variant: code === ErrorCode.UserRejected ? 'warning' : 'danger',
+        title: 'Mint failed',
+        message,
+      })
     }
 
     setIsWaiting(false)
-    setIsLoading(true)
   }
 
-  const totalCost = cost ? cost.mul(mintAmount) : 0
+  // Check the allowlist up front so users aren't asked to sign a doomed mint
+  const isPublicSale = phase === SalePhase.Public
+  const isAllowlisted = allowlistEntry !== null
+
+  // Never offer more than the wallet has left of its allowance or lifetime cap
+  const remainingAllowance = isAllowlisted
+    ? Math.max(parseInt(allowlistEntry.allowance) - allowlistMinted, 0)
+    : 0
+  const mintableAmount = Math.min(
+    maxMintAmount,
+    mintsRemaining,
+    isPublicSale ? Infinity : remainingAllowance
+  )
+
+  // The page no longer reloads after a mint, so shrink the selection if the
+  // wallet now has fewer mints left than were selected
+  useEffect(() => {
+    if (mintAmount > mintableAmount) {
+      setMintAmount(Math.max(mintableAmount, 1))
+    }
+  }, [mintAmount, mintableAmount])
+
+  // Explain up front why minting is unavailable instead of letting it revert
+  const disabledReason = getMintDisabledReason({
+    paused,
+    phase,
+    isSoldOut,
+    isConnected,
+    isAllowlisted,
+    remainingAllowance,
+    mintsRemaining,
+  })
+
+  const totalCost = price ? price.mul(mintAmount) : 0
   const totalCostEth = totalCost
     ? parseFloat(ethers.utils.formatEther(totalCost)).toFixed(4)
     : '0'
@@ -78,11 +136,13 @@ const Mint = ({ provider, nft, cost, setIsLoading, allowedAddresses }) => {
           value={mintAmount}
           onChange={(e) => setMintAmount(parseInt(e.target.value))}
         >
-          {Array.from({ length: maxMintAmount }, (_, i) => i + 1).map((num) => (
-            <option key={num} value={num}>
-              {num}
-            </option>
-          ))}
+          {Array.from({ length: mintableAmount }, (_, i) => i + 1).map(
+            (num) => (
+              <option key={num} value={num}>
+                {num}
+              </option>
+            )
+          )}
         </Form.Select>
       </Form.Group>
 
@@ -90,6 +150,12 @@ const Mint = ({ provider, nft, cost, setIsLoading, allowedAddresses }) => {
         <Form.Label>Total Cost: {totalCostEth} ETH</Form.Label>
       </Form.Group>
 
+      {disabledReason && (
+        <Alert variant='info' className='text-center'>
+          {disabledReason}
+        </Alert>
+      )}
+
       {isWaiting ? (
         <Spinner
           animation='border'
@@ -97,7 +163,12 @@ const Mint = ({ provider, nft, cost, setIsLoading, allowedAddresses }) => {
         />
       ) : (
         <Form.Group>
-          <Button variant='primary' type='submit' style={{ width: '100%' }}>
+          <Button
+            variant='primary'
+            type='submit'
+            style={{ width: '100%' }}
+            disabled={disabledReason !== null || mintableAmount === 0}
+          >
             Mint {mintAmount} NFT{mintAmount > 1 ? 's' : ''}
           </Button>
         </Form.Group>
@@ -1,8 +1,25 @@
+import { useState } from 'react'
 import Navbar from 'react-bootstrap/Navbar'
+import NavDropdown from 'react-bootstrap/NavDropdown'
+import Button from 'react-bootstrap/Button'
+import WalletModal from './WalletModal'
 
 import logo from '../logo.png'
 
-const Navigation = ({ account }) => {
+const Navigation = ({
+  account,
+  wallets,
+  onConnect,
+  onSwitchAccount,
+  onDisconnect,
+}) => {
+  const [showWallets, setShowWallets] = useState(false)
+
+  const selectHandler = (wallet) => {
+    setShowWallets(false)
+    onConnect(wallet)
+  }
+
   return (
     <Navbar className='my-3'>
       <img
@@ -14,8 +31,37 @@ const Navigation = ({ account }) => {
       />
       <Navbar.Brand href='#'>Dapp Punks</Navbar.Brand>
       <Navbar.Collapse className='justify-content-end'>
-        <Navbar.Text>{account}</Navbar.Text>
+        {account ? (
+          <NavDropdown
+            title={`${account.slice(0, 6)}...${account.slice(-4)}`}
+            align='end'
+          >
+            <NavDropdown.ItemText className='text-muted small'>
+              {account}
+            </NavDropdown.ItemText>
+            <NavDropdown.Divider />
+            <NavDropdown.Item onClick={onSwitchAccount}>
+              Switch account
+            </NavDropdown.Item>
+            <NavDropdown.Item onClick={() => setShowWallets(true)}>
+              Change wallet
+            </NavDropdown.Item>
+            <NavDropdown.Item onClick={onDisconnect}>
+              Disconnect
+            </NavDropdown.Item>
+          </NavDropdown>
+        ) : (
+          <Button variant='primary' onClick={() => setShowWallets(true)}>
+            Connect wallet
+          </Button>
+        )}
       </Navbar.Collapse>
+      <WalletModal
+        show={showWallets}
+        wallets={wallets}
+        onSelect={selectHandler}
+        onHide={() => setShowWallets(false)}
+      />
     </Navbar>
   )
 }
@@ -0,0 +1,34 @@
+import Toast from 'react-bootstrap/Toast'
+import ToastContainer from 'react-bootstrap/ToastContainer'
+
+const DELAY = 8000
+
+// Stack of dismissable toasts in the corner of the page
+const Notifications = ({ notifications, onClose }) => {
+  return (
+    <ToastContainer
+      position='top-end'
+      containerPosition='fixed'
+      className='p-3'
+    >
+      {notifications.map(({ id, variant, title, message }) => (
+        <Toast
+          key={id}
+          bg={variant}
+          autohide
+          delay={DELAY}
+          onClose={() => onClose(id)}
+        >
+          <Toast.Header>
+            <strong className='me-auto'>{title}</strong>
+          </Toast.Header>
+          <Toast.Body className={variant === 'danger' ? 'text-white' : ''}>
+            {message}
+          </Toast.Body>
+        </Toast>
+      ))}
+    </ToastContainer>
+  )
+}
+
+export default Notifications
@@ -1,70 +1,164 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
+import Table from 'react-bootstrap/Table'
+import Pagination from 'react-bootstrap/Pagination'
 import { ethers } from 'ethers'
 
-const PurchaseHistory = ({ nft, account }) => {
-  const [purchasedNFTs, setPurchasedNFTs] = useState([])
+const PAGE_SIZE = 5
+
+// fromBlock is the NFT's deploy block, so the event queries do not scan from
+// genesis
+const PurchaseHistory = ({ nft, account, fromBlock = 0 }) => {
+  const [purchases, setPurchases] = useState([])
+  const [page, setPage] = useState(1)
   const [loading, setLoading] = useState(true)
 
+  // One row per mint transaction, built from Mint events and the Transfer
+  // logs that created the tokens
+  const fetchPurchases = useCallback(async () => {
+    if (!nft || !account) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      const mintEvents = await nft.queryFilter(
+        nft.filters.Mint(null, account),
+        fromBlock
+      )
+      const transferEvents = await nft.queryFilter(
+        nft.filters.Transfer(ethers.constants.AddressZero, account),
+        fromBlock
+      )
+
+      // Group minted token ids by transaction
+      const tokenIdsByTx = {}
+      transferEvents.forEach(({ transactionHash, args }) => {
+        tokenIdsByTx[transactionHash] = [
+          ...(tokenIdsByTx[transactionHash] || []),
+          args.tokenId.toString(),
+        ]
+      })
+
+      const purchases = await Promise.all(
+        mintEvents.map(async (event) => {
+          const block = await event.getBlock()
+          const transaction = await event.getTransaction()
+          return {
+            transactionHash: event.transactionHash,
+            timestamp: block.timestamp,
+            quantity: event.args.mintAmount.toString(),
+            paid: transaction.value,
+            tokenIds: tokenIdsByTx[event.transactionHash] || [],
+          }
+        })
+      )
+
+      setPurchases(purchases.sort((a, b) => b.timestamp - a.timestamp))
+    } catch (error) {
+      console.error('Error fetching purchase history:', error)
+      setPurchases([])
+    } finally {
+      setLoading(false)
+    }
+  }, [nft, account, fromBlock])
+
+  useEffect(() => {
+    setPage(1)
+    fetchPurchases()
+  }, [fetchPurchases])
+
+  // Refresh as new mints from this account arrive
   useEffect(() => {
-    const fetchPurchasedNFTs = async () => {
-      if (!nft || !account) {
-        setLoading(false)
-        return
-      }
-
-      try {
-        // Get all NFTs owned by the user
-        const tokenIds = await nft.walletOfOwner(account)
-
-        // If user has less than 2 NFTs, show nothing
-        if (tokenIds.length < 2) {
-          setPurchasedNFTs([])
-          setLoading(false)
-          return
-        }
-
-        // Remove the last NFT (most recent purchase)
-        const previousNFTs = tokenIds.slice(0, -1)
-        setPurchasedNFTs(previousNFTs)
-      } catch (error) {
-        console.error('Error fetching purchased NFTs:', error)
-        setPurchasedNFTs([])
-      } finally {
-        setLoading(false)
-      }
+    if (!nft || !account) return
+
+    const filter = nft.filters.Mint(null, account)
+    nft.on(filter, fetchPurchases)
+
+    return () => {
+      nft.off(filter, fetchPurchases)
     }
+  }, [nft, account, fetchPurchases])
 
-    fetchPurchasedNFTs()
-  }, [nft, account])
+  if (!account) {
+    return (
+      <div className='mt-4'>
+        <h3>Purchase History</h3>
+        <p>Connect a wallet to see your purchases.</p>
+      </div>
+    )
+  }
 
   if (loading) {
     return <div className='text-center mt-4'>Loading purchase history...</div>
   }
 
-  if (purchasedNFTs.length === 0) {
-    return null // Don't show anything if user has less than 2 NFTs
-  }
+  const pageCount = Math.ceil(purchases.length / PAGE_SIZE)
+  const pagePurchases = purchases.slice(
+    (page - 1) * PAGE_SIZE,
+    page * PAGE_SIZE
+  )
 
   return (
     <div className='mt-4'>
       <h3>Purchase History</h3>
-      <div className='row'>
-        {purchasedNFTs.map((tokenId) => (
-          <div key={tokenId.toString()} className='col-md-4 mb-3'>
-            <div className='card'>
-              <img
-                src={`https://gateway.pinata.cloud/ipfs/QmQPEMsfd1tJnqYPbnTQCjoa8vczfsV1FmqZWgRdNQ7z3g/${tokenId.toString()}.png`}
-                alt={`Dapp Punk #${tokenId.toString()}`}
-                className='card-img-top'
-                style={{ width: '100%', height: '200px', objectFit: 'cover' }}
+      <p className='text-muted small'>
+        Tokens minted by this wallet. Tokens received by transfer show in your
+        gallery.
+      </p>
+      {purchases.length === 0 ? (
+        <p>You haven't minted any Dapp Punks yet.</p>
+      ) : (
+        <>
+          <Table striped bordered hover size='sm'>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Quantity</th>
+                <th>Paid</th>
+                <th>Token IDs</th>
+                <th>Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pagePurchases.map((purchase) => (
+                <tr key={purchase.transactionHash}>
+                  <td>
+                    {new Date(purchase.timestamp * 1000).toLocaleString()}
+                  </td>
+                  <td>{purchase.quantity}</td>
+                  <td>{ethers.utils.formatEther(purchase.paid)} ETH</td>
+                  <td>{purchase.tokenIds.map((id) => `#${id}`).join(', ')}</td>
+                  <td title={purchase.transactionHash}>
+                    {purchase.transactionHash.slice(0, 10)}...
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {pageCount > 1 && (
+            <Pagination className='justify-content-center'>
+              <Pagination.Prev
+                disabled={page === 1}
+                onClick={() => setPage(page - 1)}
               />
-              <div className='card-body'>
-                <h5 className='card-title'>Dapp Punk #{tokenId.toString()}</h5>
-              </div>
-            </div>
-          </div>
-        ))}
-      </div>
+              {Array.from({ length: pageCount }, (_, i) => i + 1).map((num) => (
+                <Pagination.Item
+                  key={num}
+                  active={num === page}
+                  onClick={() => setPage(num)}
+                >
+                  {num}
+                </Pagination.Item>
+              ))}
+              <Pagination.Next
+                disabled={page === pageCount}
+                onClick={() => setPage(page + 1)}
+              />
+            </Pagination>
+          )}
+        </>
+      )}
     </div>
   )
 }
@@ -0,0 +1,42 @@
+import ListGroup from 'react-bootstrap/ListGroup'
+import ProgressBar from 'react-bootstrap/ProgressBar'
+
+// Minted supply and the latest mints by anyone, kept live by App
+const SaleStats = ({ maxSupply, totalSupply, recentMints }) => {
+  const max = parseInt(maxSupply.toString())
+  const minted = parseInt(totalSupply.toString())
+
+  return (
+    <div className='my-4'>
+      <ProgressBar
+        now={minted}
+        max={max || 1}
+        label={`${minted} / ${max}`}
+        variant={max > 0 && minted >= max ? 'success' : 'primary'}
+      />
+
+      {recentMints.length > 0 && (
+        <>
+          <h6 className='mt-3'>Recent mints</h6>
+          <ListGroup variant='flush'>
+            {recentMints.map(({ id, minter, amount, timestamp }) => (
+              <ListGroup.Item
+                key={id}
+                className='d-flex justify-content-between small'
+              >
+                <span>
+                  {minter.slice(0, 6)}...{minter.slice(-4)} minted {amount}
+                </span>
+                <span className='text-muted'>
+                  {new Date(timestamp * 1000).toLocaleTimeString()}
+                </span>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SaleStats
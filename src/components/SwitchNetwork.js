@@ -0,0 +1,41 @@
+import { useState } from 'react'
+import Alert from 'react-bootstrap/Alert'
+import Button from 'react-bootstrap/Button'
+import config from '../config.json'
+import { SUPPORTED_CHAIN_IDS, switchNetwork } from '../networks'
+
+const SwitchNetwork = ({ ethereum, chainId }) => {
+  const [error, setError] = useState(null)
+
+  const switchHandler = async (targetChainId) => {
+    setError(null)
+    try {
+      await switchNetwork(ethereum, targetChainId)
+    } catch (error) {
+      console.error('Error switching network:', error)
+      setError(error.message)
+    }
+  }
+
+  return (
+    <Alert variant='warning' className='text-center'>
+      <p>
+        Dapp Punks is not available on this network (chain {chainId}). Please
+        switch to a supported network.
+      </p>
+      {SUPPORTED_CHAIN_IDS.map((supportedChainId) => (
+        <Button
+          key={supportedChainId}
+          variant='primary'
+          className='mx-1'
+          onClick={() => switchHandler(supportedChainId)}
+        >
+          Switch to {config[supportedChainId].chainName}
+        </Button>
+      ))}
+      {error && <p className='mt-3 mb-0 text-danger'>{error}</p>}
+    </Alert>
+  )
+}
+
+export default SwitchNetwork
@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react'
+import Badge from 'react-bootstrap/Badge'
+import Card from 'react-bootstrap/Card'
+import Spinner from 'react-bootstrap/Spinner'
+import { fetchTokenMetadata } from '../ipfs'
+import TokenImage from './TokenImage'
+
+const TokenCard = ({ nft, tokenId }) => {
+  const [metadata, setMetadata] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let isCurrent = true
+
+    const loadMetadata = async () => {
+      try {
+        const metadata = await fetchTokenMetadata(nft, tokenId)
+        if (isCurrent) setMetadata(metadata)
+      } catch (error) {
+        console.error(`Error fetching metadata for token ${tokenId}:`, error)
+        if (isCurrent) setError(error)
+      }
+    }
+
+    setMetadata(null)
+    setError(null)
+    loadMetadata()
+
+    return () => {
+      isCurrent = false
+    }
+  }, [nft, tokenId])
+
+  const title = `Dapp Punk #${tokenId.toString()}`
+
+  return (
+    <Card className='h-100'>
+      {metadata ? (
+        <TokenImage urls={metadata.imageUrls} alt={metadata.name || title} />
+      ) : (
+        <div
+          className='d-flex align-items-center justify-content-center'
+          style={{ height: '200px' }}
+        >
+          {error ? (
+            <span className='text-muted'>Metadata unavailable</span>
+          ) : (
+            <Spinner animation='border' />
+          )}
+        </div>
+      )}
+      <Card.Body>
+        <Card.Title>{title}</Card.Title>
+        {metadata &&
+          metadata.attributes.map(({ trait_type, value }) => (
+            <Badge
+              key={trait_type}
+              bg='secondary'
+              className='me-1 mb-1'
+              title={trait_type}
+            >
+              {trait_type}: {value}
+            </Badge>
+          ))}
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default TokenCard
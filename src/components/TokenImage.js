@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react'
+import Card from 'react-bootstrap/Card'
+import { GATEWAY_TIMEOUT } from '../ipfs'
+
+// Card image that moves on to the next gateway when one fails to load or
+// takes longer than GATEWAY_TIMEOUT
+const TokenImage = ({ urls, alt }) => {
+  const [index, setIndex] = useState(0)
+  const [loadedUrl, setLoadedUrl] = useState(null)
+
+  useEffect(() => {
+    setIndex(0)
+  }, [urls])
+
+  const next = () => index < urls.length - 1 && setIndex(index + 1)
+
+  useEffect(() => {
+    if (loadedUrl === urls[index] || index >= urls.length - 1) return
+
+    const timeout = setTimeout(() => setIndex(index + 1), GATEWAY_TIMEOUT)
+    return () => clearTimeout(timeout)
+  }, [urls, index, loadedUrl])
+
+  return (
+    <Card.Img
+      variant='top'
+      src={urls[index]}
+      alt={alt}
+      onLoad={() => setLoadedUrl(urls[index])}
+      onError={next}
+      style={{ width: '100%', height: '200px', objectFit: 'cover' }}
+    />
+  )
+}
+
+export default TokenImage
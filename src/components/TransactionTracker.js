@@ -0,0 +1,53 @@
+import CloseButton from 'react-bootstrap/CloseButton'
+import ListGroup from 'react-bootstrap/ListGroup'
+import Spinner from 'react-bootstrap/Spinner'
+import { TransactionStatus } from '../transactions'
+
+const VARIANTS = {
+  [TransactionStatus.Pending]: 'light',
+  [TransactionStatus.Confirmed]: 'success',
+  [TransactionStatus.Failed]: 'danger',
+}
+
+const TransactionTracker = ({ transactions, confirmations, onDismiss }) => {
+  if (transactions.length === 0) {
+    return null
+  }
+
+  return (
+    <ListGroup className='my-4'>
+      {transactions.map(
+        ({ hash, label, status, confirmations: count, tokenIds, error }) => (
+          <ListGroup.Item key={hash} variant={VARIANTS[status]}>
+            <div className='d-flex justify-content-between align-items-center'>
+              <strong>{label}</strong>
+              {status === TransactionStatus.Pending ? (
+                <Spinner animation='border' size='sm' />
+              ) : (
+                <CloseButton onClick={() => onDismiss(hash)} />
+              )}
+            </div>
+            <small className='d-block text-break text-muted'>{hash}</small>
+            {status === TransactionStatus.Pending && (
+              <small>
+                Waiting for confirmation ({count} of {confirmations})
+              </small>
+            )}
+            {status === TransactionStatus.Confirmed && (
+              <small>
+                Confirmed
+                {tokenIds.length > 0 &&
+                  `, minted token${
+                    tokenIds.length > 1 ? 's' : ''
+                  } #${tokenIds.join(', #')}`}
+              </small>
+            )}
+            {status === TransactionStatus.Failed && <small>{error}</small>}
+          </ListGroup.Item>
+        )
+      )}
+    </ListGroup>
+  )
+}
+
+export default TransactionTracker
@@ -0,0 +1,43 @@
+import Modal from 'react-bootstrap/Modal'
+import ListGroup from 'react-bootstrap/ListGroup'
+
+const WalletModal = ({ show, wallets, onSelect, onHide }) => {
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>Connect a wallet</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {wallets.length === 0 ? (
+          <p className='mb-0'>
+            No wallets found. Install a browser wallet such as MetaMask to mint.
+          </p>
+        ) : (
+          <ListGroup>
+            {wallets.map((wallet) => (
+              <ListGroup.Item
+                key={wallet.info.uuid}
+                action
+                className='d-flex align-items-center'
+                onClick={() => onSelect(wallet)}
+              >
+                {wallet.info.icon && (
+                  <img
+                    src={wallet.info.icon}
+                    alt=''
+                    width='32'
+                    height='32'
+                    className='me-3'
+                  />
+                )}
+                {wallet.info.name}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )}
+      </Modal.Body>
+    </Modal>
+  )
+}
+
+export default WalletModal
@@ -0,0 +1,217 @@
+// Turns the errors ethers and wallets throw for contract calls into typed
+// errors with a message we can show to the user. An ES module so test/NFT.js
+// can import() it and check it against the contract's real reverts.
+
+export const ErrorCode = {
+  Paused: 'PAUSED',
+  NotAllowlisted: 'NOT_ALLOWLISTED',
+  NotStarted: 'NOT_STARTED',
+  AllowlistEnded: 'ALLOWLIST_ENDED',
+  PublicNotStarted: 'PUBLIC_NOT_STARTED',
+  ExceedsAllowance: 'EXCEEDS_ALLOWANCE',
+  InvalidAmount: 'INVALID_AMOUNT',
+  ExceedsMaxPerTx: 'EXCEEDS_MAX_PER_TX',
+  ExceedsMaxPerWallet: 'EXCEEDS_MAX_PER_WALLET',
+  InsufficientPayment: 'INSUFFICIENT_PAYMENT',
+  SoldOut: 'SOLD_OUT',
+  TokenNotFound: 'TOKEN_NOT_FOUND',
+  AlreadyRevealed: 'ALREADY_REVEALED',
+  MintingStarted: 'MINTING_STARTED',
+  InvalidSchedule: 'INVALID_SCHEDULE',
+  NotOwner: 'NOT_OWNER',
+  UserRejected: 'USER_REJECTED',
+  RequestPending: 'REQUEST_PENDING',
+  NoWallet: 'NO_WALLET',
+  InsufficientGasFunds: 'INSUFFICIENT_GAS_FUNDS',
+  Unknown: 'UNKNOWN',
+}
+
+// Every require() message in NFT.sol (and Ownable), keyed by the exact string
+const REVERT_REASONS = {
+  'Contract is paused': [ErrorCode.Paused, 'Minting is paused'],
+  'Address not in allowed list': [
+    ErrorCode.NotAllowlisted,
+    'Your address is not in the allowed list',
+  ],
+  'Minting not allowed yet': [
+    ErrorCode.NotStarted,
+    'The sale has not started yet',
+  ],
+  'Allowlist sale has ended': [
+    ErrorCode.AllowlistEnded,
+    'The allowlist sale has ended',
+  ],
+  'Public sale not started': [
+    ErrorCode.PublicNotStarted,
+    'The public sale has not started yet',
+  ],
+  'Mint amount exceeds allowance': [
+    ErrorCode.ExceedsAllowance,
+    'That is more than your remaining allowlist allowance',
+  ],
+  'Mint amount must be greater than 0': [
+    ErrorCode.InvalidAmount,
+    'Choose at least one NFT to mint',
+  ],
+  'Mint amount exceeds max per transaction': [
+    ErrorCode.ExceedsMaxPerTx,
+    'That is more than can be minted in one transaction',
+  ],
+  'Mint amount exceeds max per wallet': [
+    ErrorCode.ExceedsMaxPerWallet,
+    'That would take your wallet over its mint limit',
+  ],
+  'Insufficient funds': [
+    ErrorCode.InsufficientPayment,
+    'Not enough ETH was sent to cover the mint price',
+  ],
+  'Max supply exceeded': [
+    ErrorCode.SoldOut,
+    'Not enough NFTs are left to mint that many',
+  ],
+  'Token does not exist': [
+    ErrorCode.TokenNotFound,
+    'That token does not exist',
+  ],
+  'Already revealed': [
+    ErrorCode.AlreadyRevealed,
+    'The collection has already been revealed',
+  ],
+  'Minting already started': [
+    ErrorCode.MintingStarted,
+    'The provenance hash cannot change once minting has started',
+  ],
+  'Allowlist sale must start before public sale': [
+    ErrorCode.InvalidSchedule,
+    'The allowlist sale must start before the public sale',
+  ],
+  'Public sale must start after allowlist sale': [
+    ErrorCode.InvalidSchedule,
+    'The public sale must start after the allowlist sale',
+  ],
+  'Ownable: caller is not the owner': [
+    ErrorCode.NotOwner,
+    'Only the contract owner can do that',
+  ],
+}
+
+// Messages nodes and wallets use when the account cannot pay for gas
+const GAS_FUNDS_MESSAGES = [
+  'insufficient funds for gas',
+  'insufficient funds for intrinsic transaction cost',
+  "sender doesn't have enough funds",
+]
+
+export class TransactionError extends Error {
+  constructor(code, message, cause) {
+    super(message)
+    this.name = 'TransactionError'
+    this.code = code
+    this.cause = cause
+  }
+}
+
+// The contract rejected the call; reason is the require() message
+export class RevertError extends TransactionError {
+  constructor(code, message, reason, cause) {
+    super(code, message, cause)
+    this.name = 'RevertError'
+    this.reason = reason
+  }
+}
+
+// The wallet refused or could not send the transaction
+export class WalletError extends TransactionError {
+  constructor(code, message, cause) {
+    super(code, message, cause)
+    this.name = 'WalletError'
+  }
+}
+
+// Revert reasons end up in different places depending on the provider, so
+// gather every message in the error and the errors it wraps
+const collectMessages = (error, depth = 0) => {
+  if (!error || typeof error !== 'object' || depth > 4) return []
+  return [
+    error.reason,
+    error.message,
+    error.data?.message,
+    ...collectMessages(error.error, depth + 1),
+    ...collectMessages(error.data?.originalError, depth + 1),
+  ].filter((message) => typeof message === 'string')
+}
+
+const isUserRejection = (error, depth = 0) => {
+  if (!error || typeof error !== 'object' || depth > 4) return false
+  return (
+    error.code === 4001 ||
+    error.code === 'ACTION_REJECTED' ||
+    isUserRejection(error.error, depth + 1)
+  )
+}
+
+// Maps any error from a contract call to a TransactionError
+export const decodeError = (error) => {
+  if (error instanceof TransactionError) return error
+
+  if (isUserRejection(error)) {
+    return new WalletError(
+      ErrorCode.UserRejected,
+      'You rejected the request in your wallet',
+      error
+    )
+  }
+
+  // -32002: the wallet already has the same request open
+  if (error?.code === -32002) {
+    return new WalletError(
+      ErrorCode.RequestPending,
+      'Your wallet already has a request open. Check the wallet extension.',
+      error
+    )
+  }
+
+  const messages = collectMessages(error)
+  const hasMessage = (text) =>
+    messages.some((message) => message.includes(text))
+
+  if (
+    error?.code === 'INSUFFICIENT_FUNDS' ||
+    GAS_FUNDS_MESSAGES.some(hasMessage)
+  ) {
+    return new WalletError(
+      ErrorCode.InsufficientGasFunds,
+      'Your wallet does not have enough ETH to pay for this transaction and its gas',
+      error
+    )
+  }
+
+  const reason = Object.keys(REVERT_REASONS).find(hasMessage)
+  if (reason) {
+    const [code, message] = REVERT_REASONS[reason]
+    return new RevertError(code, message, reason, error)
+  }
+
+  return new TransactionError(
+    ErrorCode.Unknown,
+    'The transaction failed. Please try again.',
+    error
+  )
+}
+
+// Runs the call against the current chain state without sending it, so a
+// revert is reported before the wallet asks the user to sign. Resolves to
+// the gas estimate; rejects with a decoded TransactionError.
+export const simulateTransaction = async (
+  contract,
+  method,
+  args,
+  overrides = {}
+) => {
+  try {
+    await contract.callStatic[method](...args, overrides)
+    return await contract.estimateGas[method](...args, overrides)
+  } catch (error) {
+    throw decodeError(error)
+  }
+}
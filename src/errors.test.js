@@ -0,0 +1,177 @@
+import {
+  ErrorCode,
+  RevertError,
+  TransactionError,
+  WalletError,
+  decodeError,
+  simulateTransaction,
+} from './errors.mjs'
+
+// Error shapes as ethers v5 and injected wallets throw them. test/NFT.js
+// checks the revert reasons against the contract itself.
+
+// What MetaMask rejects with, and ethers v5.7 wraps it in
+const rejection = () =>
+  Object.assign(new Error('MetaMask Tx Signature: User denied.'), {
+    code: 4001,
+  })
+
+describe('decodeError', () => {
+  describe('wallet errors', () => {
+    it('decodes a rejection from the wallet', () => {
+      const error = decodeError(rejection())
+
+      expect(error).toBeInstanceOf(WalletError)
+      expect(error.code).toBe(ErrorCode.UserRejected)
+    })
+
+    it('decodes a rejection wrapped by ethers', () => {
+      const error = decodeError(
+        Object.assign(new Error('user rejected transaction'), {
+          code: 'ACTION_REJECTED',
+          action: 'sendTransaction',
+          reason: 'user rejected transaction',
+        })
+      )
+
+      expect(error.code).toBe(ErrorCode.UserRejected)
+    })
+
+    it('decodes a rejection nested in error.error', () => {
+      const error = decodeError(
+        Object.assign(new Error('processing response error'), {
+          code: 'SERVER_ERROR',
+          error: rejection(),
+        })
+      )
+
+      expect(error.code).toBe(ErrorCode.UserRejected)
+    })
+
+    it('decodes a request the wallet already has open', () => {
+      const error = decodeError(
+        Object.assign(new Error('Already processing eth_requestAccounts.'), {
+          code: -32002,
+        })
+      )
+
+      expect(error).toBeInstanceOf(WalletError)
+      expect(error.code).toBe(ErrorCode.RequestPending)
+    })
+
+    it('decodes an account that cannot pay for gas', () => {
+      const error = decodeError(
+        Object.assign(new Error('insufficient funds for intrinsic cost'), {
+          code: 'INSUFFICIENT_FUNDS',
+        })
+      )
+
+      expect(error.code).toBe(ErrorCode.InsufficientGasFunds)
+    })
+
+    it('decodes a gas funds message nested in error.error', () => {
+      const error = decodeError(
+        Object.assign(new Error('cannot estimate gas'), {
+          code: 'UNPREDICTABLE_GAS_LIMIT',
+          error: {
+            code: -32000,
+            message: 'insufficient funds for gas * price + value',
+          },
+        })
+      )
+
+      expect(error.code).toBe(ErrorCode.InsufficientGasFunds)
+    })
+  })
+
+  describe('reverts', () => {
+    it('decodes the reason ethers puts on the error', () => {
+      const error = decodeError(
+        Object.assign(new Error('cannot estimate gas'), {
+          code: 'UNPREDICTABLE_GAS_LIMIT',
+          reason: 'execution reverted: Contract is paused',
+        })
+      )
+
+      expect(error).toBeInstanceOf(RevertError)
+      expect(error.code).toBe(ErrorCode.Paused)
+      expect(error.reason).toBe('Contract is paused')
+    })
+
+    it('decodes a reason nested in data.originalError', () => {
+      // MetaMask's Internal JSON-RPC error, as ethers wraps it
+      const error = decodeError(
+        Object.assign(new Error('cannot estimate gas'), {
+          code: 'UNPREDICTABLE_GAS_LIMIT',
+          error: {
+            code: -32603,
+            message: 'Internal JSON-RPC error.',
+            data: {
+              originalError: {
+                code: 3,
+                message: 'execution reverted: Max supply exceeded',
+              },
+            },
+          },
+        })
+      )
+
+      expect(error.code).toBe(ErrorCode.SoldOut)
+    })
+
+    it('does not mistake the mint price check for gas funds', () => {
+      const error = decodeError({
+        reason: 'execution reverted: Insufficient funds',
+      })
+
+      expect(error.code).toBe(ErrorCode.InsufficientPayment)
+    })
+  })
+
+  it('decodes anything else as unknown', () => {
+    const cause = new Error('network does not support ENS')
+    const error = decodeError(cause)
+
+    expect(error).toBeInstanceOf(TransactionError)
+    expect(error.code).toBe(ErrorCode.Unknown)
+    expect(error.cause).toBe(cause)
+  })
+
+  it('returns errors it already decoded', () => {
+    const error = new WalletError(ErrorCode.NoWallet, 'No wallet')
+
+    expect(decodeError(error)).toBe(error)
+  })
+})
+
+describe('simulateTransaction', () => {
+  const createContract = (callStatic) => ({
+    callStatic: { mint: jest.fn(callStatic) },
+    estimateGas: { mint: jest.fn(async () => 150000) },
+  })
+
+  it('resolves to the gas estimate when the call succeeds', async () => {
+    const contract = createContract(async () => {})
+    const overrides = { value: 10 }
+
+    await expect(
+      simulateTransaction(contract, 'mint', [1], overrides)
+    ).resolves.toBe(150000)
+    expect(contract.callStatic.mint).toHaveBeenCalledWith(1, overrides)
+    expect(contract.estimateGas.mint).toHaveBeenCalledWith(1, overrides)
+  })
+
+  it('rejects with the decoded revert without estimating gas', async () => {
+    const contract = createContract(async () => {
+      throw Object.assign(new Error('call revert exception'), {
+        code: 'CALL_EXCEPTION',
+        reason: 'Mint amount exceeds max per wallet',
+      })
+    })
+
+    await expect(simulateTransaction(contract, 'mint', [6])).rejects.toEqual(
+      expect.objectContaining({ code: ErrorCode.ExceedsMaxPerWallet })
+    )
+    expect(contract.estimateGas.mint).not.toHaveBeenCalled()
+  })
+})
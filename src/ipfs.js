@@ -0,0 +1,142 @@
+import config from './config.json'
+
+// Gateways to try, in order, for ipfs:// URIs
+export const IPFS_GATEWAYS = config.ipfsGateways
+
+// How long a gateway gets to answer before the next one is tried
+export const GATEWAY_TIMEOUT = 5000
+
+// Turns an ipfs:// URI into an HTTP URL on a gateway, leaving other URIs
+// untouched
+export const resolveIpfsUri = (uri, gateway = IPFS_GATEWAYS[0]) => {
+  if (!uri || !uri.startsWith('ipfs://')) return uri
+  const path = uri.replace(/^ipfs:\/\/(ipfs\/)?/, '')
+  return `${gateway.replace(/\/$/, '')}/${path}`
+}
+
+// The URL for a URI on every gateway, in fallback order
+export const resolveIpfsUris = (uri) =>
+  uri && uri.startsWith('ipfs://')
+    ? IPFS_GATEWAYS.map((gateway) => resolveIpfsUri(uri, gateway))
+    : [uri]
+
+const fetchWithTimeout = async (url) => {
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), GATEWAY_TIMEOUT)
+  try {
+    const response = await fetch(url, { signal: controller.signal })
+    if (!response.ok) {
+      throw new Error(`${url} responded with ${response.status}`)
+    }
+    return await response.json()
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+// Fetches JSON from the first gateway that answers in time
+const fetchFromGateways = async (uri) => {
+  let lastError
+  for (const url of resolveIpfsUris(uri)) {
+    try {
+      return await fetchWithTimeout(url)
+    } catch (error) {
+      lastError = error
+    }
+  }
+  throw lastError
+}
+
+// ipfs:// content never changes, so fetched JSON is also kept in IndexedDB
+// across visits. Failing to open it just means no persistent cache.
+const DB_NAME = 'dapp-punks-ipfs'
+const STORE_NAME = 'json'
+
+let database
+const openDatabase = () => {
+  if (!database) {
+    database = new Promise((resolve) => {
+      if (!window.indexedDB) return resolve(null)
+
+      const request = window.indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(STORE_NAME)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => resolve(null)
+    })
+  }
+  return database
+}
+
+const readStored = async (uri) => {
+  const db = await openDatabase()
+  if (!db) return undefined
+
+  return new Promise((resolve) => {
+    const request = db.transaction(STORE_NAME).objectStore(STORE_NAME).get(uri)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => resolve(undefined)
+  })
+}
+
+const writeStored = async (uri, data) => {
+  const db = await openDatabase()
+  if (!db) return
+
+  db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(data, uri)
+}
+
+const loadJson = async (uri) => {
+  const isImmutable = uri.startsWith('ipfs://')
+  if (isImmutable) {
+    const stored = await readStored(uri)
+    if (stored !== undefined) return stored
+  }
+
+  const data = await fetchFromGateways(uri)
+  if (isImmutable) writeStored(uri, data)
+  return data
+}
+
+// In-memory cache of requests by URI, so concurrent callers share a fetch.
+// Failed requests are dropped so they can be retried.
+const requests = new Map()
+
+export const fetchIpfsJson = (uri) => {
+  if (!requests.has(uri)) {
+    requests.set(
+      uri,
+      loadJson(uri).catch((error) => {
+        requests.delete(uri)
+        throw error
+      })
+    )
+  }
+  return requests.get(uri)
+}
+
+// Fetches the metadata JSON for a token (shaped like metadata/*.json). The
+// URI always comes from the contract's tokenURI() (baseURI + id +
+// baseExtension, or the placeholder before reveal), so caching by URI picks
+// up a reveal or baseURI change. imageUrls lists the image on every gateway
+// for fallback, image is the first of them.
+export const fetchTokenMetadata = async (nft, tokenId) => {
+  const tokenURI = await nft.tokenURI(tokenId)
+
+  let metadata
+  try {
+    metadata = await fetchIpfsJson(tokenURI)
+  } catch (error) {
+    throw new Error(`Failed to fetch metadata for token ${tokenId}`, {
+      cause: error,
+    })
+  }
+
+  const imageUrls = resolveIpfsUris(metadata.image)
+  return {
+    ...metadata,
+    image: imageUrls[0],
+    imageUrls,
+    attributes: metadata.attributes || [],
+  }
+}
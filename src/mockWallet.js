@@ -0,0 +1,24 @@
+// Test helpers: EIP-1193 providers and EIP-6963 style discovery without a
+// browser wallet
+
+// Provider that answers requests from a table of handlers, keyed by method
+export const createMockProvider = (handlers = {}) => ({
+  request: jest.fn(async ({ method }) => {
+    if (!handlers[method]) throw new Error(`Unexpected request ${method}`)
+    return handlers[method]()
+  }),
+  on: jest.fn(),
+  removeListener: jest.fn(),
+})
+
+export const createMockWallet = (rdns, provider = createMockProvider()) => ({
+  info: { uuid: `${rdns}-uuid`, name: rdns, icon: null, rdns },
+  provider,
+})
+
+// A discoverWallets replacement that announces wallets after a delay, like a
+// slow extension or WalletConnect would
+export const announceLater = (wallets, delay) => (onAnnounce) => {
+  const timer = setTimeout(() => wallets.forEach(onAnnounce), delay)
+  return () => clearTimeout(timer)
+}
@@ -0,0 +1,52 @@
+import { ethers } from 'ethers'
+import config from './config.json'
+
+// Chain ids with a deployed NFT in config.json
+export const SUPPORTED_CHAIN_IDS = Object.keys(config)
+  .filter((key) => config[key].nft)
+  .map((key) => parseInt(key))
+
+// Chain the app reads from before a wallet is connected
+export const DEFAULT_CHAIN_ID = config.defaultChainId || SUPPORTED_CHAIN_IDS[0]
+
+// Returns the config.json entry for a chain, or null if it is unsupported
+export const getNetworkConfig = (chainId) =>
+  SUPPORTED_CHAIN_IDS.includes(chainId) ? config[chainId] : null
+
+// Provider for reading a supported chain through its first RPC url, without
+// a wallet
+export const getReadOnlyProvider = (chainId = DEFAULT_CHAIN_ID) =>
+  new ethers.providers.StaticJsonRpcProvider(
+    config[chainId].rpcUrls[0],
+    chainId
+  )
+
+// Asks the wallet to switch chains, adding the chain first if it is unknown
+export const switchNetwork = async (ethereum, chainId) => {
+  const hexChainId = ethers.utils.hexValue(chainId)
+
+  try {
+    await ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: hexChainId }],
+    })
+  } catch (error) {
+    // 4902: the wallet does not know this chain yet
+    if (error.code !== 4902) throw error
+
+    const { chainName, rpcUrls, nativeCurrency, blockExplorerUrls } =
+      config[chainId]
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [
+        {
+          chainId: hexChainId,
+          chainName,
+          rpcUrls,
+          nativeCurrency,
+          blockExplorerUrls,
+        },
+      ],
+    })
+  }
+}
@@ -0,0 +1,75 @@
+// Mirrors the SalePhase enum in NFT.sol
+export const SalePhase = {
+  Closed: 0,
+  Allowlist: 1,
+  Public: 2,
+}
+
+export const PHASE_NAMES = {
+  [SalePhase.Closed]: 'Sale not started',
+  [SalePhase.Allowlist]: 'Allowlist sale',
+  [SalePhase.Public]: 'Public sale',
+}
+
+// Returns the next scheduled phase and its start time in ms, or null
+export const getNextPhase = (phase, allowMintingOn, publicMintingOn) => {
+  if (phase === SalePhase.Closed) {
+    return { phase: SalePhase.Allowlist, startsOn: allowMintingOn }
+  }
+  if (phase === SalePhase.Allowlist && publicMintingOn > 0) {
+    return { phase: SalePhase.Public, startsOn: publicMintingOn }
+  }
+  return null
+}
+
+// Allowlisted wallets pay the allowlist price until the public sale starts,
+// everyone else pays the public price once it is scheduled
+export const getMintPrice = (
+  phase,
+  isAllowlisted,
+  cost,
+  publicCost,
+  publicMintingOn
+) => {
+  if (phase !== SalePhase.Public && isAllowlisted) {
+    return cost
+  }
+  if (publicMintingOn > 0) {
+    return publicCost
+  }
+  return null
+}
+
+// Explains why the connected wallet cannot mint right now, or null if it can
+export const getMintDisabledReason = ({
+  paused,
+  phase,
+  isSoldOut,
+  isConnected,
+  isAllowlisted,
+  remainingAllowance,
+  mintsRemaining,
+}) => {
+  if (paused) {
+    return 'Minting is paused'
+  }
+  if (phase === SalePhase.Closed) {
+    return 'The sale has not started yet'
+  }
+  if (isSoldOut) {
+    return 'Sold out'
+  }
+  if (!isConnected) {
+    return 'Connect your wallet to mint'
+  }
+  if (phase === SalePhase.Allowlist && !isAllowlisted) {
+    return 'Your address is not in the allowed list'
+  }
+  if (phase === SalePhase.Allowlist && remainingAllowance === 0) {
+    return 'You have minted your full allowlist allowance'
+  }
+  if (mintsRemaining === 0) {
+    return 'Your wallet cannot mint any more tokens'
+  }
+  return null
+}
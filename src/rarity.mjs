@@ -0,0 +1,54 @@
+// Trait rarity for a set of tokens shaped like metadata/*.json. Tokens
+// missing a trait_type count as having the value "None" for it, so every
+// trait_type adds up to the number of tokens. An ES module with no
+// dependencies, so scripts/metadata.js can import() it as well.
+
+export const NONE = 'None'
+
+// Returns { [trait_type]: { [value]: count } }
+export const getTraitCounts = (tokens) => {
+  const traitTypes = new Set(
+    tokens.flatMap(({ attributes }) => attributes.map((a) => a.trait_type))
+  )
+
+  const counts = {}
+  traitTypes.forEach((traitType) => {
+    counts[traitType] = {}
+    tokens.forEach(({ attributes }) => {
+      const value = getTraitValue(attributes, traitType)
+      counts[traitType][value] = (counts[traitType][value] || 0) + 1
+    })
+  })
+  return counts
+}
+
+export const getTraitValue = (attributes, traitType) => {
+  const attribute = attributes.find((a) => a.trait_type === traitType)
+  return attribute ? String(attribute.value) : NONE
+}
+
+// Scores each token by summing 1 / frequency of each of its trait values, so
+// rare values weigh more, and ranks them from 1 (rarest). Returns the
+// tokens with rarityScore and rarityRank added.
+export const rankByRarity = (tokens) => {
+  const counts = getTraitCounts(tokens)
+
+  const scored = tokens.map((token) => ({
+    ...token,
+    rarityScore: Object.keys(counts).reduce(
+      (score, traitType) =>
+        score +
+        tokens.length /
+          counts[traitType][getTraitValue(token.attributes, traitType)],
+      0
+    ),
+  }))
+
+  // Tokens with the same score share a rank
+  return scored.map((token) => ({
+    ...token,
+    rarityRank:
+      scored.filter(({ rarityScore }) => rarityScore > token.rarityScore)
+        .length + 1,
+  }))
+}
@@ -0,0 +1,219 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { ethers } from 'ethers'
+
+const STORAGE_KEY = 'dapp-punks:pending-transactions'
+
+// Blocks a transaction needs on top of it before it counts as confirmed,
+// unless the network's config.json entry sets `confirmations`
+export const DEFAULT_CONFIRMATIONS = 1
+
+// Blocks a transaction can be missing from the node before it counts as
+// dropped. Load-balanced RPCs can briefly answer from a node that has not seen
+// it yet.
+const DROPPED_AFTER_BLOCKS = 5
+
+export const TransactionStatus = {
+  Pending: 'pending',
+  Confirmed: 'confirmed',
+  Failed: 'failed',
+}
+
+// Pending transactions are kept in localStorage as { hash, chainId, account,
+// label } so tracking resumes after a page refresh
+const readStored = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || []
+  } catch (error) {
+    return []
+  }
+}
+
+const writeStored = (stored) =>
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored))
+
+const storePending = (pending) =>
+  writeStored([
+    ...readStored().filter(({ hash }) => hash !== pending.hash),
+    pending,
+  ])
+
+const forgetPending = (hash) =>
+  writeStored(readStored().filter((pending) => pending.hash !== hash))
+
+// Token ids minted to anyone in a receipt, from the NFT's Transfer logs
+export const getMintedTokenIds = (nft, receipt) =>
+  receipt.logs
+    .filter((log) => log.address === nft.address)
+    .map((log) => nft.interface.parseLog(log))
+    .filter(
+      ({ name, args }) =>
+        name === 'Transfer' && args.from === ethers.constants.AddressZero
+    )
+    .map(({ args }) => args.tokenId.toNumber())
+
+// Tracks sent transactions until they are confirmed or fail. onSettled is
+// called with the updated transaction so callers can refresh what it touched.
+export const useTransactionTracker = ({
+  provider,
+  nft,
+  chainId,
+  account,
+  confirmations = DEFAULT_CONFIRMATIONS,
+  onSettled,
+}) => {
+  const [transactions, setTransactions] = useState([])
+  // Hashes already settled, so onSettled fires once even if a block arrives
+  // before the new status renders, and the block each missing transaction
+  // was first found missing at
+  const settled = useRef(new Set())
+  const missingSince = useRef({})
+
+  // The block listener is subscribed once per provider and contract, so it
+  // reads the latest transactions and options through a ref
+  const latest = useRef()
+  latest.current = { transactions, confirmations, onSettled }
+  const checkPending = useRef(() => {})
+
+  // Resume transactions this account left pending on this chain
+  useEffect(() => {
+    if (!chainId || !account) return
+
+    setTransactions(
+      readStored()
+        .filter(
+          (pending) =>
+            pending.chainId === chainId && pending.account === account
+        )
+        .map(({ hash, label }) => ({
+          hash,
+          label,
+          status: TransactionStatus.Pending,
+          confirmations: 0,
+        }))
+    )
+  }, [chainId, account])
+
+  const track = useCallback(
+    ({ hash }, label) => {
+      storePending({ hash, chainId, account, label })
+      setTransactions((transactions) => [
+        ...transactions.filter((transaction) => transaction.hash !== hash),
+        { hash, label, status: TransactionStatus.Pending, confirmations: 0 },
+      ])
+    },
+    [chainId, account]
+  )
+
+  const dismiss = useCallback((hash) => {
+    setTransactions((transactions) =>
+      transactions.filter((transaction) => transaction.hash !== hash)
+    )
+  }, [])
+
+  // Check pending transactions again on every new block
+  useEffect(() => {
+    if (!provider || !nft) return
+
+    let cancelled = false
+    let checking = false
+
+    const update = (hash, changes) =>
+      setTransactions((transactions) =>
+        transactions.map((transaction) =>
+          transaction.hash === hash
+            ? { ...transaction, ...changes }
+            : transaction
+        )
+      )
+
+    const settle = (transaction, changes) => {
+      if (settled.current.has(transaction.hash)) return
+      settled.current.add(transaction.hash)
+      delete missingSince.current[transaction.hash]
+      forgetPending(transaction.hash)
+      update(transaction.hash, changes)
+      latest.current.onSettled({ ...transaction, ...changes })
+    }
+
+    // Skips a block that arrives while the previous check is still running
+    const check = async (blockNumber) => {
+      const pending = latest.current.transactions.filter(
+        ({ hash, status }) =>
+          status === TransactionStatus.Pending && !settled.current.has(hash)
+      )
+      if (checking || pending.length === 0) return
+      checking = true
+      try {
+        if (blockNumber === undefined) {
+          blockNumber = await provider.getBlockNumber()
+          if (cancelled) return
+        }
+        for (const transaction of pending) {
+          await checkTransaction(transaction, blockNumber)
+          if (cancelled) return
+        }
+      } catch (error) {
+        console.error('Error checking transaction:', error)
+      } finally {
+        checking = false
+      }
+    }
+
+    const checkTransaction = async (transaction, blockNumber) => {
+      const receipt = await provider.getTransactionReceipt(transaction.hash)
+      if (cancelled) return
+
+      if (!receipt) {
+        // Replaced, or the node was reset since it was sent
+        const sent = await provider.getTransaction(transaction.hash)
+        if (cancelled) return
+
+        if (sent) {
+          delete missingSince.current[transaction.hash]
+          return
+        }
+        if (missingSince.current[transaction.hash] === undefined) {
+          missingSince.current[transaction.hash] = blockNumber
+        }
+        const missingFor = blockNumber - missingSince.current[transaction.hash]
+        if (missingFor >= DROPPED_AFTER_BLOCKS) {
+          settle(transaction, {
+            status: TransactionStatus.Failed,
+            error: 'Transaction was dropped',
+          })
+        }
+      } else if (receipt.status === 0) {
+        settle(transaction, {
+          status: TransactionStatus.Failed,
+          confirmations: receipt.confirmations,
+          error: 'Transaction reverted',
+        })
+      } else if (receipt.confirmations >= latest.current.confirmations) {
+        settle(transaction, {
+          status: TransactionStatus.Confirmed,
+          confirmations: receipt.confirmations,
+          tokenIds: getMintedTokenIds(nft, receipt),
+        })
+      } else if (receipt.confirmations !== transaction.confirmations) {
+        update(transaction.hash, { confirmations: receipt.confirmations })
+      }
+    }
+
+    checkPending.current = check
+    check()
+    provider.on('block', check)
+
+    return () => {
+      cancelled = true
+      checkPending.current = () => {}
+      provider.off('block', check)
+    }
+  }, [provider, nft])
+
+  // Check newly tracked or resumed transactions without waiting for a block
+  useEffect(() => {
+    checkPending.current()
+  }, [transactions])
+
+  return { transactions, track, dismiss }
+}
@@ -0,0 +1,243 @@
+// An ES module so the app bundles it and Node scripts can import() it
+import { utils } from 'ethers'
+
+const { keccak256, defaultAbiCoder, hexConcat, getAddress, isAddress } = utils
+
+// Thrown when an address has no proof in the allowlist
+export class NotAllowlistedError extends Error {
+  constructor(address) {
+    super(`Address ${address} is not in the allowed list`)
+    this.name = 'NotAllowlistedError'
+    this.address = address
+  }
+}
+
+// Addresses are compared case-insensitively, so the checksum is not enforced
+const isValidAddress = (address) =>
+  typeof address === 'string' && isAddress(address.trim().toLowerCase())
+
+// Checksums an address regardless of its original casing
+export const normalizeAddress = (address) => {
+  if (!isValidAddress(address)) {
+    throw new Error(`Invalid address: ${address}`)
+  }
+  return getAddress(address.trim().toLowerCase())
+}
+
+// Hashes a sorted pair of nodes, as OpenZeppelin's MerkleProof does
+const hashPair = (a, b) => keccak256(hexConcat(a < b ? [a, b] : [b, a]))
+
+// Tree layout helpers for the flat array used by StandardMerkleTree
+const parentIndex = (i) => Math.floor((i - 1) / 2)
+const siblingIndex = (i) => (i % 2 === 0 ? i - 1 : i + 1)
+
+// Custom Merkle Tree matching OpenZeppelin StandardMerkleTree, including its
+// flat array layout so dumps can be read by either implementation
+export class CustomMerkleTree {
+  constructor(values, leafEncoding) {
+    this.values = values
+    this.leafEncoding = leafEncoding
+    this.tree = []
+    this.treeIndices = []
+    this.initialized = false
+  }
+
+  // Initialize the tree
+  async initialize() {
+    if (this.initialized) return this
+    if (this.values.length === 0) {
+      throw new Error('Cannot build a Merkle tree with no values')
+    }
+    // Leaves are sorted by hash and stored at the end of the array
+    const leaves = this.values
+      .map((value, valueIndex) => ({ valueIndex, hash: this.hashLeaf(value) }))
+      .sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0))
+
+    this.tree = new Array(2 * leaves.length - 1)
+    this.treeIndices = new Array(leaves.length)
+    leaves.forEach(({ valueIndex, hash }, leafIndex) => {
+      const treeIndex = this.tree.length - 1 - leafIndex
+      this.tree[treeIndex] = hash
+      this.treeIndices[valueIndex] = treeIndex
+    })
+    for (let i = this.tree.length - 1 - leaves.length; i >= 0; i--) {
+      this.tree[i] = hashPair(this.tree[2 * i + 1], this.tree[2 * i + 2])
+    }
+
+    this.initialized = true
+    return this
+  }
+
+  // Checksums the address fields of a leaf value
+  normalizeValue(value) {
+    return value.map((field, i) =>
+      this.leafEncoding[i] === 'address' ? normalizeAddress(field) : field
+    )
+  }
+
+  // Hash a leaf value according to the encoding, return hex string
+  hashLeaf(value) {
+    if (value.length !== this.leafEncoding.length) {
+      throw new Error(`Leaf value does not match encoding ${this.leafEncoding}`)
+    }
+    const normalized = this.normalizeValue(value)
+    // OZ: keccak256(bytes.concat(keccak256(abi.encode(...values))))
+    const inner = keccak256(
+      defaultAbiCoder.encode(this.leafEncoding, normalized)
+    )
+    return keccak256(inner)
+  }
+
+  // Get the root of the tree
+  get root() {
+    if (!this.initialized || this.tree.length === 0) return null
+    return this.tree[0]
+  }
+
+  // Get the proof for a specific index
+  getProof(index) {
+    if (!this.initialized) {
+      throw new Error('Tree not initialized. Call initialize() first.')
+    }
+    if (index < 0 || index >= this.values.length) {
+      throw new Error('Index out of bounds')
+    }
+    const proof = []
+    for (let i = this.treeIndices[index]; i > 0; i = parentIndex(i)) {
+      proof.push(this.tree[siblingIndex(i)])
+    }
+    return proof
+  }
+
+  // Verify a proof
+  verify(proof, root, leaf) {
+    if (!this.initialized) return false
+    return proof.reduce(hashPair, leaf) === root
+  }
+
+  // Serialize the tree in OpenZeppelin's StandardMerkleTree.dump() format
+  dump() {
+    if (!this.initialized) {
+      throw new Error('Tree not initialized. Call initialize() first.')
+    }
+    return {
+      format: 'standard-v1',
+      tree: this.tree,
+      values: this.values.map((value, i) => ({
+        value,
+        treeIndex: this.treeIndices[i],
+      })),
+      leafEncoding: this.leafEncoding,
+    }
+  }
+
+  // Reload a tree from dump() or StandardMerkleTree.dump() output
+  static load(data) {
+    if (data.format !== 'standard-v1') {
+      throw new Error(`Unknown Merkle tree format: ${data.format}`)
+    }
+    if (!Array.isArray(data.leafEncoding)) {
+      throw new Error('Merkle tree dump is missing leafEncoding')
+    }
+
+    // Dumps from other tools may store addresses in any case
+    const tree = new CustomMerkleTree([], data.leafEncoding)
+    tree.values = data.values.map(({ value }) => tree.normalizeValue(value))
+    tree.tree = data.tree
+    tree.treeIndices = data.values.map(({ treeIndex }) => treeIndex)
+    tree.initialized = true
+
+    // Make sure every value still hashes to the leaf it claims
+    tree.values.forEach((value, i) => {
+      if (tree.hashLeaf(value) !== tree.tree[tree.treeIndices[i]]) {
+        throw new Error(`Merkle tree dump has an invalid leaf at index ${i}`)
+      }
+    })
+
+    // and that every internal node up to the root hashes its children
+    for (let i = parentIndex(tree.tree.length - 1); i >= 0; i--) {
+      if (
+        tree.tree[i] !== hashPair(tree.tree[2 * i + 1], tree.tree[2 * i + 2])
+      ) {
+        throw new Error(`Merkle tree dump has an invalid node at index ${i}`)
+      }
+    }
+    return tree
+  }
+}
+
+// Allowlist leaves are (address, allowance), matching NFT.isAddressAllowed
+export const ALLOWLIST_ENCODING = ['address', 'uint256']
+
+// Factory function to create a Merkle tree (matches OpenZeppelin interface)
+export const buildMerkleTree = async (allowlist) => {
+  const tree = new CustomMerkleTree(
+    wrapAllowlist(allowlist),
+    ALLOWLIST_ENCODING
+  )
+  return await tree.initialize()
+}
+
+// Gets the proof for an address in the tree
+export const getMerkleProof = (tree, address) => {
+  const normalized = normalizeAddress(address)
+  const index = tree.values.findIndex(([addr]) => addr === normalized)
+  if (index === -1) {
+    throw new NotAllowlistedError(normalized)
+  }
+  return tree.getProof(index)
+}
+
+// Gets the allowance and proof for every address in the tree, keyed by
+// checksummed address
+export const getMerkleProofs = (tree) =>
+  tree.values.reduce((proofs, [address, allowance]) => {
+    proofs[address] = {
+      allowance: allowance.toString(),
+      proof: getMerkleProof(tree, address),
+    }
+    return proofs
+  }, {})
+
+// Looks up an address in a proofs map written by scripts/proofs.js and
+// returns its { allowance, proof }
+export const lookupAllowlistEntry = (proofs, address) => {
+  const normalized = normalizeAddress(address)
+  const entry = proofs[normalized]
+  if (!entry) {
+    throw new NotAllowlistedError(normalized)
+  }
+  return entry
+}
+
+// Checksums and deduplicates [address, allowance] entries, rejecting
+// malformed ones
+const wrapAllowlist = (allowlist) => {
+  const invalid = allowlist.filter(
+    (entry) =>
+      !Array.isArray(entry) ||
+      entry.length !== 2 ||
+      !isValidAddress(entry[0]) ||
+      !/^\d+$/.test(String(entry[1]))
+  )
+  if (invalid.length > 0) {
+    throw new Error(
+      `Invalid entries in allowed list: ${invalid
+        .map((entry) => JSON.stringify(entry))
+        .join(', ')}`
+    )
+  }
+
+  const allowances = new Map()
+  for (const [address, allowance] of allowlist) {
+    const normalized = normalizeAddress(address)
+    const previous = allowances.get(normalized)
+    if (previous !== undefined && previous !== String(allowance)) {
+      throw new Error(
+        `Conflicting allowances for ${normalized} in allowed list`
+      )
+    }
+    allowances.set(normalized, String(allowance))
+  }
+  return [...allowances.entries()]
+}
@@ -0,0 +1,147 @@
+import { ErrorCode, WalletError, decodeError } from './errors.mjs'
+
+// rdns of the wallet the user last connected with. Cleared on disconnect,
+// since wallets cannot be forced to forget a site.
+const SELECTED_WALLET_KEY = 'dapp-punks:wallet'
+
+// Wallets are { info: { uuid, name, icon, rdns }, provider } as announced by
+// EIP-6963. provider is any EIP-1193 provider, so WalletConnect or a mock can
+// be plugged in the same way.
+
+// Finds wallets through EIP-6963. Installed wallets usually answer the request
+// event synchronously, but one whose content script loads late announces
+// itself afterwards. Returns a function that stops listening.
+export const discoverWallets = (onAnnounce) => {
+  const listener = (event) => onAnnounce(event.detail)
+  window.addEventListener('eip6963:announceProvider', listener)
+  window.dispatchEvent(new Event('eip6963:requestProvider'))
+
+  return () => window.removeEventListener('eip6963:announceProvider', listener)
+}
+
+// Legacy injected wallet, for wallets that do not implement EIP-6963
+export const getInjectedWallet = () =>
+  window.ethereum
+    ? {
+        info: {
+          uuid: 'injected',
+          name: 'Browser wallet',
+          icon: null,
+          rdns: 'injected',
+        },
+        provider: window.ethereum,
+      }
+    : null
+
+export const rememberWallet = ({ info }) =>
+  window.localStorage.setItem(SELECTED_WALLET_KEY, info.rdns)
+
+// How long the remembered wallet gets to announce itself before the app
+// loads without it
+export const RECONNECT_TIMEOUT = 500
+
+// Discovers wallets with discover (discoverWallets by default) and calls
+// onReconnect with the remembered wallet whenever it announces, even after
+// the timeout. onSettled is called once, when that wallet is found, the
+// timeout passes, or straight away if no wallet is remembered. Returns a
+// function that stops listening.
+export const reconnectRememberedWallet = ({
+  discover = discoverWallets,
+  onAnnounce,
+  onReconnect,
+  onSettled,
+  timeout = RECONNECT_TIMEOUT,
+}) => {
+  const rdns = window.localStorage.getItem(SELECTED_WALLET_KEY)
+  let timer = null
+  let isSettled = false
+  let isReconnected = false
+
+  const settle = () => {
+    if (isSettled) return
+    isSettled = true
+    clearTimeout(timer)
+    onSettled()
+  }
+
+  const reconnect = (wallet) => {
+    if (isReconnected || wallet.info.rdns !== rdns) return
+    isReconnected = true
+    onReconnect(wallet)
+    settle()
+  }
+
+  const stopDiscovery = discover((wallet) => {
+    onAnnounce(wallet)
+    reconnect(wallet)
+  })
+
+  const injected = getInjectedWallet()
+  if (injected) reconnect(injected)
+
+  if (!rdns) settle()
+  else if (!isSettled) timer = setTimeout(settle, timeout)
+
+  return () => {
+    clearTimeout(timer)
+    stopDiscovery()
+  }
+}
+
+const requireWallet = (ethereum) => {
+  if (!ethereum) {
+    throw new WalletError(
+      ErrorCode.NoWallet,
+      'No wallet found. Install a browser wallet such as MetaMask to mint.'
+    )
+  }
+}
+
+// Returns the account the wallet already shares with the app, or null.
+// Never opens a wallet prompt.
+export const getConnectedAccount = async (ethereum) => {
+  if (!ethereum) return null
+
+  const [account] = await ethereum.request({ method: 'eth_accounts' })
+  return account || null
+}
+
+// Asks the wallet to share an account with the app
+export const connectWallet = async (ethereum) => {
+  requireWallet(ethereum)
+
+  try {
+    await ethereum.request({ method: 'eth_requestAccounts' })
+  } catch (error) {
+    throw decodeError(error)
+  }
+}
+
+export const disconnectWallet = async (ethereum) => {
+  window.localStorage.removeItem(SELECTED_WALLET_KEY)
+
+  // Not every wallet supports revoking, forgetting the choice is enough for
+  // the app
+  try {
+    await ethereum?.request({
+      method: 'wallet_revokePermissions',
+      params: [{ eth_accounts: {} }],
+    })
+  } catch (error) {
+    console.warn('Wallet did not revoke permissions:', error)
+  }
+}
+
+// Opens the wallet's account picker
+export const switchAccount = async (ethereum) => {
+  requireWallet(ethereum)
+
+  try {
+    await ethereum.request({
+      method: 'wallet_requestPermissions',
+      params: [{ eth_accounts: {} }],
+    })
+  } catch (error) {
+    throw decodeError(error)
+  }
+}
@@ -0,0 +1,116 @@
+import {
+  RECONNECT_TIMEOUT,
+  connectWallet,
+  getConnectedAccount,
+  reconnectRememberedWallet,
+  rememberWallet,
+} from './wallet'
+import { ErrorCode } from './errors.mjs'
+import {
+  announceLater,
+  createMockProvider,
+  createMockWallet,
+} from './mockWallet'
+
+const ACCOUNT = '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266'
+
+describe('wallet', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('reconnectRememberedWallet', () => {
+    const start = (discover) => {
+      const callbacks = {
+        onAnnounce: jest.fn(),
+        onReconnect: jest.fn(),
+        onSettled: jest.fn(),
+      }
+      const stop = reconnectRememberedWallet({ discover, ...callbacks })
+      return { ...callbacks, stop }
+    }
+
+    it('settles straight away when no wallet is remembered', () => {
+      const wallet = createMockWallet('io.mock')
+      const { onReconnect, onSettled } = start(announceLater([wallet], 100))
+
+      expect(onSettled).toHaveBeenCalledTimes(1)
+      jest.advanceTimersByTime(100)
+      expect(onReconnect).not.toHaveBeenCalled()
+    })
+
+    it('reconnects a remembered wallet that announces late', () => {
+      const wallet = createMockWallet('io.mock')
+      rememberWallet(wallet)
+      const { onAnnounce, onReconnect, onSettled } = start(
+        announceLater([createMockWallet('io.other'), wallet], 100)
+      )
+
+      expect(onSettled).not.toHaveBeenCalled()
+      jest.advanceTimersByTime(100)
+
+      expect(onAnnounce).toHaveBeenCalledTimes(2)
+      expect(onReconnect).toHaveBeenCalledWith(wallet)
+      expect(onSettled).toHaveBeenCalledTimes(1)
+
+      jest.advanceTimersByTime(RECONNECT_TIMEOUT)
+      expect(onSettled).toHaveBeenCalledTimes(1)
+    })
+
+    it('stops waiting after the timeout but still reconnects later', () => {
+      const wallet = createMockWallet('io.mock')
+      rememberWallet(wallet)
+      const { onReconnect, onSettled } = start(
+        announceLater([wallet], RECONNECT_TIMEOUT * 2)
+      )
+
+      jest.advanceTimersByTime(RECONNECT_TIMEOUT)
+      expect(onSettled).toHaveBeenCalledTimes(1)
+      expect(onReconnect).not.toHaveBeenCalled()
+
+      jest.advanceTimersByTime(RECONNECT_TIMEOUT)
+      expect(onReconnect).toHaveBeenCalledWith(wallet)
+      expect(onSettled).toHaveBeenCalledTimes(1)
+    })
+
+    it('stops listening when cleaned up', () => {
+      const wallet = createMockWallet('io.mock')
+      rememberWallet(wallet)
+      const { onReconnect, onSettled, stop } = start(
+        announceLater([wallet], 100)
+      )
+
+      stop()
+      jest.advanceTimersByTime(RECONNECT_TIMEOUT)
+
+      expect(onReconnect).not.toHaveBeenCalled()
+      expect(onSettled).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('with a mock provider', () => {
+    it('reads the connected account without prompting', async () => {
+      const provider = createMockProvider({ eth_accounts: () => [ACCOUNT] })
+
+      expect(await getConnectedAccount(provider)).toBe(ACCOUNT)
+      expect(provider.request).toHaveBeenCalledWith({ method: 'eth_accounts' })
+    })
+
+    it('reports a rejected connection request', async () => {
+      const provider = createMockProvider({
+        eth_requestAccounts: () => {
+          throw Object.assign(new Error('User rejected'), { code: 4001 })
+        },
+      })
+
+      await expect(connectWallet(provider)).rejects.toMatchObject({
+        code: ErrorCode.UserRejected,
+      })
+    })
+  })
+})
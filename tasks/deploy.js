@@ -0,0 +1,13 @@
+const { task } = require('hardhat/config')
+
+task('deploy', 'Deploys the NFT using deploy-config/<network>.json')
+  .addOptionalParam('deployConfig', 'Path to a deploy config JSON file')
+  .addFlag('dryRun', 'Print the resolved arguments without deploying')
+  .addFlag('force', 'Replace an existing deployment on this network')
+  .setAction(async ({ deployConfig, dryRun, force }, hre) => {
+    await hre.run('compile')
+
+    // Required lazily, the script needs the fully loaded runtime environment
+    const { deploy } = require('../scripts/deploy')
+    await deploy({ config: deployConfig, dryRun, force })
+  })
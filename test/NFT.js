@@ -1,6 +1,24 @@
+const fs = require('fs')
+const path = require('path')
 const { expect } = require('chai')
 const { ethers } = require('hardhat')
-const { buildMerkleTree, getMerkleProof } = require('../src/utils')
+const { time } = require('@nomicfoundation/hardhat-network-helpers')
+
+// src/utils.mjs and src/errors.mjs are ES modules shared with the app
+let CustomMerkleTree, buildMerkleTree, getMerkleProof, NotAllowlistedError
+let ErrorCode, decodeError, simulateTransaction
+before(async () => {
+  const utils = await import('../src/utils.mjs')
+  CustomMerkleTree = utils.CustomMerkleTree
+  buildMerkleTree = utils.buildMerkleTree
+  getMerkleProof = utils.getMerkleProof
+  NotAllowlistedError = utils.NotAllowlistedError
+
+  const errors = await import('../src/errors.mjs')
+  ErrorCode = errors.ErrorCode
+  decodeError = errors.decodeError
+  simulateTransaction = errors.simulateTransaction
+})
 
 const tokens = (n) => {
   return ethers.utils.parseUnits(n.toString(), 'ether')
@@ -15,11 +33,13 @@ describe('NFT', () => {
   const MAX_SUPPLY = 25
   const BASE_URI = 'ipfs://QmQ2jnDYecFhrf3asEWjyjZRX1pZSsNWG3qHzmNDvXa9qg/'
   const MAX_MINT_AMOUNT_PER_TX = 5
+  const ALLOWANCE = 5
+  const PUBLIC_COST = ether(15)
 
   let nft,
     deployer,
     minter,
-    allowedAddresses,
+    allowlist,
     allowedAddressesRootWithMinter,
     minterProof
 
@@ -27,14 +47,17 @@ describe('NFT', () => {
     const accounts = await ethers.getSigners()
     deployer = accounts[0]
     minter = accounts[1]
-    allowedAddresses = [deployer.address, minter.address]
+    allowlist = [
+      [deployer.address, ALLOWANCE],
+      [minter.address, ALLOWANCE],
+    ]
 
     // Prepare values for the Merkle tree (array of arrays)
-    const tree = await buildMerkleTree(allowedAddresses)
+    const tree = await buildMerkleTree(allowlist)
 
     allowedAddressesRootWithMinter = tree.root
     // Find the index of the minter in the values array
-    minterProof = getMerkleProof(tree, minter.address, allowedAddresses)
+    minterProof = getMerkleProof(tree, minter.address)
   })
 
   describe('Deployment', () => {
@@ -110,7 +133,7 @@ describe('NFT', () => {
 
         transaction = await nft
           .connect(minter)
-          .mint(1, minterProof, { value: COST })
+          .mint(1, ALLOWANCE, minterProof, { value: COST })
         await transaction.wait()
       })
 
@@ -158,7 +181,7 @@ describe('NFT', () => {
         // Use the same proof for all tokens since minter is in the tree
         transaction = await nft
           .connect(minter)
-          .mint(mintAmount, minterProof, { value: totalCost })
+          .mint(mintAmount, ALLOWANCE, minterProof, { value: totalCost })
         result = await transaction.wait()
 
         expect(await nft.ownerOf(1)).to.equal(minter.address)
@@ -191,7 +214,9 @@ describe('NFT', () => {
         )
 
         await expect(
-          nft.connect(minter).mint(1, minterProof, { value: ether(1) })
+          nft
+            .connect(minter)
+            .mint(1, ALLOWANCE, minterProof, { value: ether(1) })
         ).to.be.reverted
       })
 
@@ -209,8 +234,9 @@ describe('NFT', () => {
           allowedAddressesRootWithMinter
         )
 
-        await expect(nft.connect(minter).mint(0, minterProof, { value: COST }))
-          .to.be.reverted
+        await expect(
+          nft.connect(minter).mint(0, ALLOWANCE, minterProof, { value: COST })
+        ).to.be.reverted
       })
 
       it('rejects minting before allowed time', async () => {
@@ -230,8 +256,9 @@ describe('NFT', () => {
           allowedAddressesRootWithMinter
         )
 
-        await expect(nft.connect(minter).mint(1, minterProof, { value: COST }))
-          .to.be.reverted
+        await expect(
+          nft.connect(minter).mint(1, ALLOWANCE, minterProof, { value: COST })
+        ).to.be.reverted
       })
 
       it('does not allow more NFTs to be minted than max amount', async () => {
@@ -249,7 +276,7 @@ describe('NFT', () => {
         )
 
         await expect(
-          nft.connect(minter).mint(100, minterProof, { value: COST })
+          nft.connect(minter).mint(100, ALLOWANCE, minterProof, { value: COST })
         ).to.be.reverted
       })
 
@@ -266,7 +293,7 @@ describe('NFT', () => {
           BASE_URI,
           allowedAddressesRootWithMinter
         )
-        nft.connect(minter).mint(1, minterProof, { value: COST })
+        nft.connect(minter).mint(1, ALLOWANCE, minterProof, { value: COST })
 
         await expect(nft.tokenURI('99')).to.be.reverted
       })
@@ -285,8 +312,476 @@ describe('NFT', () => {
           allowedAddressesRootWithMinter
         )
 
-        await expect(nft.connect(minter).mint(15, minterProof, { value: COST }))
-          .to.be.reverted
+        await expect(
+          nft.connect(minter).mint(15, ALLOWANCE, minterProof, { value: COST })
+        ).to.be.reverted
+      })
+    })
+
+    describe('Allowlist', () => {
+      const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10)
+
+      beforeEach(async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(
+          NAME,
+          SYMBOL,
+          COST,
+          MAX_SUPPLY,
+          ALLOW_MINTING_ON,
+          MAX_MINT_AMOUNT_PER_TX,
+          BASE_URI,
+          allowedAddressesRootWithMinter
+        )
+      })
+
+      it('accepts proofs for addresses in any casing', async () => {
+        const tree = await buildMerkleTree(
+          allowlist.map(([address, allowance]) => [
+            address.toLowerCase(),
+            allowance,
+          ])
+        )
+        expect(tree.root).to.equal(allowedAddressesRootWithMinter)
+
+        const proof = getMerkleProof(
+          tree,
+          minter.address.toUpperCase().replace('0X', '0x')
+        )
+        await nft.connect(minter).mint(1, ALLOWANCE, proof, { value: COST })
+
+        expect(await nft.ownerOf(1)).to.equal(minter.address)
+      })
+
+      it('ignores duplicate addresses', async () => {
+        const tree = await buildMerkleTree([
+          ...allowlist,
+          [minter.address.toLowerCase(), ALLOWANCE],
+        ])
+        expect(tree.root).to.equal(allowedAddressesRootWithMinter)
+      })
+
+      it('rejects malformed entries', async () => {
+        await expect(
+          buildMerkleTree([
+            [minter.address, 1],
+            ['0x1234', 1],
+          ])
+        ).to.be.rejected
+        await expect(buildMerkleTree([[minter.address, -1]])).to.be.rejected
+        await expect(buildMerkleTree([minter.address])).to.be.rejected
+      })
+
+      it('rejects conflicting allowances for the same address', async () => {
+        await expect(
+          buildMerkleTree([...allowlist, [minter.address, ALLOWANCE + 1]])
+        ).to.be.rejected
+      })
+
+      it('reports addresses that are not allowed', async () => {
+        const accounts = await ethers.getSigners()
+        const tree = await buildMerkleTree(allowlist)
+
+        expect(() => getMerkleProof(tree, accounts[2].address)).to.throw(
+          NotAllowlistedError
+        )
+      })
+
+      it('reloads a dumped tree with the same root and proofs', async () => {
+        const tree = await buildMerkleTree(allowlist)
+        const loaded = CustomMerkleTree.load(
+          JSON.parse(JSON.stringify(tree.dump()))
+        )
+
+        expect(loaded.root).to.equal(allowedAddressesRootWithMinter)
+        expect(getMerkleProof(loaded, minter.address)).to.deep.equal(
+          minterProof
+        )
+      })
+
+      it('rejects a dumped tree with tampered values', async () => {
+        const tree = await buildMerkleTree(allowlist)
+        const dump = tree.dump()
+        dump.values[0].value[1] = String(ALLOWANCE + 1)
+
+        expect(() => CustomMerkleTree.load(dump)).to.throw()
+      })
+
+      it('rejects a dumped tree with a tampered root', async () => {
+        const tree = await buildMerkleTree(allowlist)
+        const dump = tree.dump()
+        dump.tree = [ethers.utils.hexZeroPad('0x01', 32), ...dump.tree.slice(1)]
+
+        expect(() => CustomMerkleTree.load(dump)).to.throw(/invalid node/)
+      })
+
+      it('reloads a dumped tree with lowercase addresses', async () => {
+        const tree = await buildMerkleTree(allowlist)
+        const dump = JSON.parse(JSON.stringify(tree.dump()))
+        dump.values.forEach(({ value }) => (value[0] = value[0].toLowerCase()))
+        const loaded = CustomMerkleTree.load(dump)
+
+        expect(getMerkleProof(loaded, minter.address)).to.deep.equal(
+          minterProof
+        )
+      })
+
+      it('tracks tokens minted against the allowance', async () => {
+        await nft.connect(minter).mint(3, ALLOWANCE, minterProof, {
+          value: COST.mul(3),
+        })
+
+        expect(await nft.allowlistMinted(minter.address)).to.equal(3)
+      })
+
+      it('rejects mints beyond the allowance', async () => {
+        await nft.connect(minter).mint(3, ALLOWANCE, minterProof, {
+          value: COST.mul(3),
+        })
+
+        await expect(
+          nft.connect(minter).mint(3, ALLOWANCE, minterProof, {
+            value: COST.mul(3),
+          })
+        ).to.be.revertedWith('Mint amount exceeds allowance')
+      })
+
+      it('rejects a claimed allowance that is not in the tree', async () => {
+        await expect(
+          nft.connect(minter).mint(1, ALLOWANCE + 1, minterProof, {
+            value: COST,
+          })
+        ).to.be.revertedWith('Address not in allowed list')
+      })
+    })
+
+    describe('Sale phases', () => {
+      const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10)
+      const FUTURE = new Date('May 26, 2030 18:00:00')
+        .getTime()
+        .toString()
+        .slice(0, 10)
+
+      beforeEach(async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(
+          NAME,
+          SYMBOL,
+          COST,
+          MAX_SUPPLY,
+          ALLOW_MINTING_ON,
+          MAX_MINT_AMOUNT_PER_TX,
+          BASE_URI,
+          allowedAddressesRootWithMinter
+        )
+      })
+
+      describe('Success', () => {
+        it('is in the allowlist phase once minting is allowed', async () => {
+          expect(await nft.currentPhase()).to.equal(1)
+        })
+
+        it('is closed before the allowlist sale starts', async () => {
+          await nft.connect(deployer).setAllowlistSale(COST, FUTURE)
+          expect(await nft.currentPhase()).to.equal(0)
+        })
+
+        it('allows owner to schedule the allowlist sale', async () => {
+          transaction = await nft
+            .connect(deployer)
+            .setAllowlistSale(ether(5), FUTURE)
+
+          expect(await nft.cost()).to.equal(ether(5))
+          expect(await nft.allowMintingOn()).to.equal(FUTURE)
+          await expect(transaction)
+            .to.emit(nft, 'AllowlistSaleSet')
+            .withArgs(ether(5), FUTURE)
+        })
+
+        it('allows owner to schedule the public sale', async () => {
+          transaction = await nft
+            .connect(deployer)
+            .setPublicSale(PUBLIC_COST, FUTURE)
+
+          expect(await nft.publicCost()).to.equal(PUBLIC_COST)
+          expect(await nft.publicMintingOn()).to.equal(FUTURE)
+          expect(await nft.currentPhase()).to.equal(1)
+          await expect(transaction)
+            .to.emit(nft, 'PublicSaleSet')
+            .withArgs(PUBLIC_COST, FUTURE)
+        })
+
+        it('allows owner to unschedule the public sale', async () => {
+          await nft.connect(deployer).setPublicSale(PUBLIC_COST, FUTURE)
+          transaction = await nft
+            .connect(deployer)
+            .setPublicSale(PUBLIC_COST, 0)
+
+          expect(await nft.publicMintingOn()).to.equal(0)
+          expect(await nft.currentPhase()).to.equal(1)
+          await expect(transaction)
+            .to.emit(nft, 'PublicSaleSet')
+            .withArgs(PUBLIC_COST, 0)
+
+          await nft
+            .connect(minter)
+            .mint(1, ALLOWANCE, minterProof, { value: COST })
+          expect(await nft.balanceOf(minter.address)).to.equal(1)
+          await expect(
+            nft.connect(minter).publicMint(1, { value: PUBLIC_COST })
+          ).to.be.revertedWith('Public sale not started')
+        })
+
+        it('allows public minting without a proof at the public price', async () => {
+          const accounts = await ethers.getSigners()
+          const publicMinter = accounts[2]
+          await nft
+            .connect(deployer)
+            .setPublicSale(PUBLIC_COST, (await time.latest()) + 1)
+
+          expect(await nft.currentPhase()).to.equal(2)
+
+          transaction = await nft
+            .connect(publicMinter)
+            .publicMint(2, { value: PUBLIC_COST.mul(2) })
+
+          expect(await nft.balanceOf(publicMinter.address)).to.equal(2)
+          await expect(transaction)
+            .to.emit(nft, 'Mint')
+            .withArgs(2, publicMinter.address)
+        })
+      })
+
+      describe('Failure', () => {
+        it('rejects public minting before the public sale', async () => {
+          await nft.connect(deployer).setPublicSale(PUBLIC_COST, FUTURE)
+
+          await expect(
+            nft.connect(minter).publicMint(1, { value: PUBLIC_COST })
+          ).to.be.revertedWith('Public sale not started')
+        })
+
+        it('rejects public minting below the public price', async () => {
+          await nft
+            .connect(deployer)
+            .setPublicSale(PUBLIC_COST, (await time.latest()) + 1)
+
+          await expect(
+            nft.connect(minter).publicMint(1, { value: COST })
+          ).to.be.revertedWith('Insufficient funds')
+        })
+
+        it('ends allowlist minting once the public sale starts', async () => {
+          await nft
+            .connect(deployer)
+            .setPublicSale(PUBLIC_COST, (await time.latest()) + 1)
+
+          await expect(
+            nft.connect(minter).mint(1, ALLOWANCE, minterProof, { value: COST })
+          ).to.be.revertedWith('Allowlist sale has ended')
+        })
+
+        it('rejects a public sale starting before the allowlist sale', async () => {
+          await expect(
+            nft.connect(deployer).setPublicSale(PUBLIC_COST, ALLOW_MINTING_ON)
+          ).to.be.revertedWith('Public sale must start after allowlist sale')
+        })
+
+        it('rejects an allowlist sale starting after the public sale', async () => {
+          await nft.connect(deployer).setPublicSale(PUBLIC_COST, FUTURE)
+
+          await expect(
+            nft.connect(deployer).setAllowlistSale(COST, FUTURE)
+          ).to.be.revertedWith('Allowlist sale must start before public sale')
+        })
+
+        it('prevents non-owner from scheduling sales', async () => {
+          await expect(nft.connect(minter).setAllowlistSale(COST, FUTURE)).to.be
+            .reverted
+          await expect(nft.connect(minter).setPublicSale(PUBLIC_COST, FUTURE))
+            .to.be.reverted
+        })
+      })
+    })
+
+    describe('Per-wallet cap', () => {
+      const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10)
+      const MAX_MINT_PER_WALLET = 4
+
+      beforeEach(async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(
+          NAME,
+          SYMBOL,
+          COST,
+          MAX_SUPPLY,
+          ALLOW_MINTING_ON,
+          MAX_MINT_AMOUNT_PER_TX,
+          BASE_URI,
+          allowedAddressesRootWithMinter
+        )
+      })
+
+      describe('Success', () => {
+        it('does not cap wallets by default', async () => {
+          expect(await nft.maxMintPerWallet()).to.equal(0)
+          expect(await nft.mintsRemaining(minter.address)).to.equal(MAX_SUPPLY)
+        })
+
+        it('allows owner to set the cap', async () => {
+          transaction = await nft
+            .connect(deployer)
+            .setMaxMintPerWallet(MAX_MINT_PER_WALLET)
+
+          expect(await nft.maxMintPerWallet()).to.equal(MAX_MINT_PER_WALLET)
+          await expect(transaction)
+            .to.emit(nft, 'MaxMintPerWalletSet')
+            .withArgs(MAX_MINT_PER_WALLET)
+        })
+
+        it('tracks mints per wallet across transactions', async () => {
+          await nft.connect(deployer).setMaxMintPerWallet(MAX_MINT_PER_WALLET)
+          await nft.connect(minter).mint(1, ALLOWANCE, minterProof, {
+            value: COST,
+          })
+          await nft.connect(minter).mint(2, ALLOWANCE, minterProof, {
+            value: COST.mul(2),
+          })
+
+          expect(await nft.walletMinted(minter.address)).to.equal(3)
+          expect(await nft.mintsRemaining(minter.address)).to.equal(1)
+        })
+
+        it('counts public mints against the cap', async () => {
+          const accounts = await ethers.getSigners()
+          const publicMinter = accounts[2]
+          await nft.connect(deployer).setMaxMintPerWallet(MAX_MINT_PER_WALLET)
+          await nft
+            .connect(deployer)
+            .setPublicSale(PUBLIC_COST, (await time.latest()) + 1)
+
+          await nft.connect(publicMinter).publicMint(MAX_MINT_PER_WALLET, {
+            value: PUBLIC_COST.mul(MAX_MINT_PER_WALLET),
+          })
+
+          expect(await nft.mintsRemaining(publicMinter.address)).to.equal(0)
+        })
+
+        it('reports nothing remaining when the cap is lowered below minted', async () => {
+          await nft.connect(minter).mint(3, ALLOWANCE, minterProof, {
+            value: COST.mul(3),
+          })
+          await nft.connect(deployer).setMaxMintPerWallet(2)
+
+          expect(await nft.mintsRemaining(minter.address)).to.equal(0)
+        })
+      })
+
+      describe('Failure', () => {
+        it('rejects mints beyond the cap across transactions', async () => {
+          await nft.connect(deployer).setMaxMintPerWallet(MAX_MINT_PER_WALLET)
+          await nft.connect(minter).mint(3, ALLOWANCE, minterProof, {
+            value: COST.mul(3),
+          })
+
+          await expect(
+            nft.connect(minter).mint(2, ALLOWANCE, minterProof, {
+              value: COST.mul(2),
+            })
+          ).to.be.revertedWith('Mint amount exceeds max per wallet')
+        })
+
+        it('prevents non-owner from setting the cap', async () => {
+          await expect(nft.connect(minter).setMaxMintPerWallet(100)).to.be
+            .reverted
+        })
+      })
+    })
+
+    describe('Reveal', () => {
+      const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10)
+      const NOT_REVEALED_URI = 'ipfs://QmHidden/hidden.json'
+      const REVEALED_URI = 'ipfs://QmRevealed/'
+      const PROVENANCE_HASH = ethers.utils.id('provenance')
+
+      beforeEach(async () => {
+        const NFT = await ethers.getContractFactory('NFT')
+        nft = await NFT.deploy(
+          NAME,
+          SYMBOL,
+          COST,
+          MAX_SUPPLY,
+          ALLOW_MINTING_ON,
+          MAX_MINT_AMOUNT_PER_TX,
+          BASE_URI,
+          allowedAddressesRootWithMinter
+        )
+        transaction = await nft
+          .connect(deployer)
+          .setProvenanceHash(PROVENANCE_HASH)
+        await nft.connect(minter).mint(1, ALLOWANCE, minterProof, {
+          value: COST,
+        })
+      })
+
+      describe('Success', () => {
+        it('serves the placeholder URI until reveal', async () => {
+          await nft.connect(deployer).setNotRevealedURI(NOT_REVEALED_URI)
+
+          expect(await nft.revealed()).to.equal(false)
+          expect(await nft.tokenURI(1)).to.equal(NOT_REVEALED_URI)
+        })
+
+        it('serves the new base URI after reveal', async () => {
+          await nft.connect(deployer).setNotRevealedURI(NOT_REVEALED_URI)
+          transaction = await nft.connect(deployer).reveal(REVEALED_URI)
+
+          expect(await nft.revealed()).to.equal(true)
+          expect(await nft.baseURI()).to.equal(REVEALED_URI)
+          expect(await nft.tokenURI(1)).to.equal(`${REVEALED_URI}1.json`)
+          await expect(transaction)
+            .to.emit(nft, 'Revealed')
+            .withArgs(REVEALED_URI)
+        })
+
+        it('stores the provenance hash before minting', async () => {
+          expect(await nft.provenanceHash()).to.equal(PROVENANCE_HASH)
+          await expect(transaction)
+            .to.emit(nft, 'ProvenanceHashSet')
+            .withArgs(PROVENANCE_HASH)
+        })
+      })
+
+      describe('Failure', () => {
+        it('prevents revealing twice', async () => {
+          await nft.connect(deployer).reveal(REVEALED_URI)
+
+          await expect(
+            nft.connect(deployer).reveal(BASE_URI)
+          ).to.be.revertedWith('Already revealed')
+        })
+
+        it('freezes the provenance hash after reveal', async () => {
+          await nft.connect(deployer).reveal(REVEALED_URI)
+
+          await expect(
+            nft.connect(deployer).setProvenanceHash(PROVENANCE_HASH)
+          ).to.be.revertedWith('Already revealed')
+        })
+
+        it('freezes the provenance hash once minting starts', async () => {
+          await expect(
+            nft.connect(deployer).setProvenanceHash(ethers.utils.id('swapped'))
+          ).to.be.revertedWith('Minting already started')
+        })
+
+        it('prevents non-owner from revealing', async () => {
+          await expect(nft.connect(minter).reveal(REVEALED_URI)).to.be.reverted
+          await expect(nft.connect(minter).setNotRevealedURI(NOT_REVEALED_URI))
+            .to.be.reverted
+          await expect(nft.connect(minter).setProvenanceHash(PROVENANCE_HASH))
+            .to.be.reverted
+        })
       })
     })
 
@@ -309,9 +804,11 @@ describe('NFT', () => {
         )
 
         // Mint 3 nfts
-        transaction = await nft.connect(minter).mint(3, minterProof, {
-          value: ether(30),
-        })
+        transaction = await nft
+          .connect(minter)
+          .mint(3, ALLOWANCE, minterProof, {
+            value: ether(30),
+          })
         result = await transaction.wait()
       })
 
@@ -344,9 +841,11 @@ describe('NFT', () => {
             allowedAddressesRootWithMinter
           )
 
-          transaction = await nft.connect(minter).mint(1, minterProof, {
-            value: COST,
-          })
+          transaction = await nft
+            .connect(minter)
+            .mint(1, ALLOWANCE, minterProof, {
+              value: COST,
+            })
           result = await transaction.wait()
 
           balanceBefore = await ethers.provider.getBalance(deployer.address)
@@ -386,7 +885,7 @@ describe('NFT', () => {
             BASE_URI,
             allowedAddressesRootWithMinter
           )
-          nft.connect(minter).mint(1, minterProof, { value: COST })
+          nft.connect(minter).mint(1, ALLOWANCE, minterProof, { value: COST })
 
           await expect(nft.connect(minter).withdraw()).to.be.reverted
         })
@@ -442,7 +941,9 @@ describe('NFT', () => {
 
             // Try to mint - should fail
             await expect(
-              nft.connect(minter).mint(1, minterProof, { value: COST })
+              nft
+                .connect(minter)
+                .mint(1, ALLOWANCE, minterProof, { value: COST })
             ).to.be.reverted
           })
 
@@ -454,9 +955,11 @@ describe('NFT', () => {
             await nft.connect(deployer).unpause()
 
             // Now minting should work
-            transaction = await nft.connect(minter).mint(1, minterProof, {
-              value: COST,
-            })
+            transaction = await nft
+              .connect(minter)
+              .mint(1, ALLOWANCE, minterProof, {
+                value: COST,
+              })
             result = await transaction.wait()
 
             expect(await nft.ownerOf(1)).to.equal(minter.address)
@@ -496,4 +999,90 @@ describe('NFT', () => {
       })
     })
   })
+
+  // The app shows these errors, so a reworded require() must be mapped too
+  describe('Revert reasons', () => {
+    const ALLOW_MINTING_ON = Date.now().toString().slice(0, 10)
+
+    beforeEach(async () => {
+      const NFT = await ethers.getContractFactory('NFT')
+      nft = await NFT.deploy(
+        NAME,
+        SYMBOL,
+        COST,
+        MAX_SUPPLY,
+        ALLOW_MINTING_ON,
+        MAX_MINT_AMOUNT_PER_TX,
+        BASE_URI,
+        allowedAddressesRootWithMinter
+      )
+    })
+
+    // Throws if the promise resolves, else returns what it rejected with
+    const rejection = async (promise) => {
+      try {
+        await promise
+      } catch (error) {
+        return error
+      }
+      throw new Error('Expected a revert')
+    }
+
+    it('maps every require() message in NFT.sol', () => {
+      const source = fs.readFileSync(
+        path.join(__dirname, '../contracts/NFT.sol'),
+        'utf8'
+      )
+      const reasons = [
+        ...source.matchAll(/require\([^;]*"([^"]+)"\s*\);/g),
+      ].map(([, reason]) => reason)
+
+      expect(reasons).to.include('Contract is paused')
+      reasons.forEach((reason) =>
+        expect(decodeError({ reason }).reason, reason).to.equal(reason)
+      )
+    })
+
+    it('decodes a simulated mint that reverts', async () => {
+      const error = await rejection(
+        simulateTransaction(
+          nft.connect(minter),
+          'mint',
+          [0, ALLOWANCE, minterProof],
+          { value: COST }
+        )
+      )
+
+      expect(error.code).to.equal(ErrorCode.InvalidAmount)
+    })
+
+    it('decodes a sent mint that reverts', async () => {
+      await nft.connect(deployer).pause()
+
+      const error = await rejection(
+        nft.connect(minter).mint(1, ALLOWANCE, minterProof, { value: COST })
+      )
+
+      expect(decodeError(error).code).to.equal(ErrorCode.Paused)
+    })
+
+    it('decodes an owner-only call from another account', async () => {
+      const error = await rejection(nft.connect(minter).pause())
+
+      expect(decodeError(error).code).to.equal(ErrorCode.NotOwner)
+    })
+
+    it('decodes a mint without enough ETH', async () => {
+      const error = await rejection(
+        simulateTransaction(
+          nft.connect(minter),
+          'mint',
+          [1, ALLOWANCE, minterProof],
+          { value: ether(1) }
+        )
+      )
+
+      expect(error.code).to.equal(ErrorCode.InsufficientPayment)
+    })
+  })
 })